@@ -0,0 +1,13 @@
+// Minimal AbortController declarations, missing in flow bom.js
+
+declare class AbortSignal {
+    aborted: boolean;
+    onabort: ?(event: Event) => mixed;
+    addEventListener(type: 'abort', listener: (event: Event) => mixed): void;
+    removeEventListener(type: 'abort', listener: (event: Event) => mixed): void;
+}
+
+declare class AbortController {
+    signal: AbortSignal;
+    abort(): void;
+}
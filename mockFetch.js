@@ -0,0 +1,3 @@
+/* eslint-disable */
+'use strict';
+module.exports = require('./dist/mockFetch')
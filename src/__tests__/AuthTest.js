@@ -0,0 +1,124 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import {spy} from 'sinon'
+
+import {
+    AuthManager,
+    Fetcher,
+    UnauthorizedError,
+    checkStatus,
+    decodeJson
+} from '../index'
+import type {Token} from '../index'
+import {createMockFetch} from '../mockFetch'
+import type {MockRequest} from '../mockFetch'
+
+describe('AuthTest', () => {
+    function createSource(token: ?Token, refresh?: Function) {
+        return {
+            getToken: () => Promise.resolve(token),
+            refresh: spy(refresh || (() => Promise.resolve({accessToken: 'new'})))
+        }
+    }
+
+    function createApi() {
+        return createMockFetch().get('/api/me', (req: MockRequest) => (
+            req.headers.authorization === 'Bearer new'
+                ? {body: {name: 'user'}}
+                : {status: 401}
+        ))
+    }
+
+    function createFetcher(fetchFn: Function, auth: AuthManager): Fetcher<*, *> {
+        return new Fetcher({
+            baseUrl: '/api',
+            url: '/me',
+            fetchFn,
+            middlewares: [auth.middleware],
+            postProcess: (r: Promise<Response>) => decodeJson(r.then(checkStatus))
+        })
+    }
+
+    it('should attach bearer token', () => {
+        const mock = createApi()
+        const auth = new AuthManager({source: createSource({accessToken: 'new'})})
+
+        return createFetcher(mock.fetch, auth).fetch().then((result: Object) => {
+            assert(result.name === 'user')
+            assert(mock.calls[0].headers.authorization === 'Bearer new')
+        })
+    })
+
+    it('should replace inherited authorization header', () => {
+        const mock = createApi()
+        const auth = new AuthManager({source: createSource({accessToken: 'new'})})
+        const fetcher = createFetcher(mock.fetch, auth).copy({headers: {Authorization: 'Basic x'}})
+
+        return fetcher.fetch().then(() => {
+            assert(mock.calls[0].headers.authorization === 'Bearer new')
+        })
+    })
+
+    it('should refresh token before expiry', () => {
+        const mock = createApi()
+        const source = createSource({accessToken: 'old', expiresAt: Date.now() + 1000})
+        const auth = new AuthManager({source, refreshBefore: 5000})
+
+        return createFetcher(mock.fetch, auth).fetch().then(() => {
+            assert(source.refresh.calledOnce)
+            assert(mock.calls.length === 1)
+        })
+    })
+
+    it('should refresh once and replay concurrent requests on 401', () => {
+        const mock = createApi()
+        const source = createSource({accessToken: 'old'})
+        const auth = new AuthManager({source})
+        const onRefresh = spy()
+        auth.on('refresh', onRefresh)
+        const fetcher = createFetcher(mock.fetch, auth)
+
+        return Promise.all([fetcher.fetch(), fetcher.fetch()]).then((results: Object[]) => {
+            assert(results[0].name === 'user')
+            assert(results[1].name === 'user')
+            assert(source.refresh.calledOnce)
+            assert(onRefresh.calledOnce)
+            assert(mock.calls.length === 4)
+        })
+    })
+
+    it('should emit logout if refresh fails', () => {
+        const mock = createApi()
+        const source = createSource(
+            {accessToken: 'old'},
+            () => Promise.reject(new Error('invalid refresh token'))
+        )
+        const auth = new AuthManager({source})
+        const onLogout = spy()
+        auth.on('logout', onLogout)
+
+        return createFetcher(mock.fetch, auth).fetch()
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof UnauthorizedError)
+                assert(onLogout.calledOnce)
+                assert(onLogout.firstCall.args[0].message === 'invalid refresh token')
+                return auth.getToken()
+            })
+            .then((token: ?Token) => {
+                assert(token === null)
+            })
+    })
+
+    it('should not refresh anonymous requests', () => {
+        const source = createSource(null)
+        const auth = new AuthManager({source})
+
+        return createFetcher(createApi().fetch, auth).fetch()
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof UnauthorizedError)
+                assert(source.refresh.notCalled)
+            })
+    })
+})
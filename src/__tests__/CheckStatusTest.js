@@ -0,0 +1,112 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {
+    ClientError,
+    ConflictError,
+    HttpError,
+    NotFoundError,
+    ServerError,
+    ServiceUnavailableError,
+    UnauthorizedError,
+    checkStatus,
+    createCheckStatus,
+    createHttpError,
+    readHttpError
+} from '../index'
+import {MockResponse} from '../mockFetch'
+
+function fakeResponse(status: number, body?: string = '', contentType?: string = 'text/plain'): Response {
+    return (new MockResponse('', {
+        status,
+        statusText: `Status ${status}`,
+        headers: {'Content-Type': contentType},
+        body
+    }): any)
+}
+
+describe('CheckStatusTest', () => {
+    describe('createHttpError', () => {
+        it('should create error by status', () => {
+            assert(createHttpError(fakeResponse(401)) instanceof UnauthorizedError)
+            assert(createHttpError(fakeResponse(404)) instanceof NotFoundError)
+            assert(createHttpError(fakeResponse(409)) instanceof ConflictError)
+            assert(createHttpError(fakeResponse(418)) instanceof ClientError)
+            assert(createHttpError(fakeResponse(503)) instanceof ServiceUnavailableError)
+            assert(createHttpError(fakeResponse(503)) instanceof ServerError)
+            assert(createHttpError(fakeResponse(500)) instanceof HttpError)
+        })
+
+        it('should throw HttpError subclass from checkStatus', () => {
+            const response = fakeResponse(404)
+            assert(checkStatus(fakeResponse(200)).status === 200)
+            assert.throws(() => checkStatus(response), (err: HttpError) =>
+                err instanceof NotFoundError
+                && err.status === 404
+                && err.response === response
+                && err.message === 'Status 404'
+            )
+        })
+    })
+
+    describe('readHttpError', () => {
+        it('should attach problem+json body', () => {
+            const body = {title: 'Conflict', detail: 'User already exists'}
+            const response = fakeResponse(409, JSON.stringify(body), 'application/problem+json')
+
+            return readHttpError(response)
+                .then((err: HttpError) => {
+                    assert(err instanceof ConflictError)
+                    assert(err.message === 'User already exists')
+                    assert.deepEqual(err.body, body)
+                })
+        })
+
+        it('should attach text body', () => {
+            return readHttpError(fakeResponse(500, 'Internal error'))
+                .then((err: HttpError) => {
+                    assert(err instanceof ServerError)
+                    assert(err.message === 'Status 500')
+                    assert(err.body === 'Internal error')
+                })
+        })
+
+        it('should create error without body on malformed json', () => {
+            return readHttpError(fakeResponse(400, '{', 'application/json'))
+                .then((err: HttpError) => {
+                    assert(err.body === null)
+                    assert(err.message === 'Status 400')
+                })
+        })
+    })
+
+    describe('createCheckStatus', () => {
+        it('should accept custom success statuses', () => {
+            const check = createCheckStatus({ok: [[200, 299], 304, 404]})
+
+            return check(fakeResponse(304))
+                .then(() => check(fakeResponse(404)))
+                .then(() => check(fakeResponse(500, 'error')))
+                .then(() => assert(false), (err: HttpError) => {
+                    assert(err instanceof ServerError)
+                    assert(err.body === 'error')
+                })
+        })
+
+        it('should accept success predicate', () => {
+            const check = createCheckStatus({
+                ok: (status: number) => status < 400,
+                parseBody: false
+            })
+
+            return check(fakeResponse(302))
+                .then(() => check(fakeResponse(401, 'error')))
+                .then(() => assert(false), (err: HttpError) => {
+                    assert(err instanceof UnauthorizedError)
+                    assert(err.body === null)
+                })
+        })
+    })
+})
@@ -0,0 +1,131 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import {spy, useFakeTimers} from 'sinon'
+
+import {CircuitBreaker, CircuitOpenError, Fetcher} from '../index'
+import type {CircuitEvent, IFetcher} from '../index'
+import {MockResponse} from '../mockFetch'
+
+describe('CircuitTest', () => {
+    function createFetcher(statuses: number[], rec: Object) {
+        const fetchFn = spy(() => Promise.resolve(
+            (new MockResponse('', {status: statuses.shift() || 200}): any)
+        ))
+        const fetcher = new Fetcher({baseUrl: 'http://api.test', url: '/user', fetchFn, ...rec})
+
+        return {fetchFn, fetcher}
+    }
+
+    function settle(fetcher: IFetcher<*, *>, count: number): Promise<Array<?Error>> {
+        const results: Array<?Error> = []
+        let chain: Promise<void> = Promise.resolve()
+        for (let i = 0; i < count; i++) {
+            chain = chain.then(() => fetcher.fetch().then(
+                () => { results.push(null) },
+                (err: Error) => { results.push(err) }
+            ))
+        }
+
+        return chain.then(() => results)
+    }
+
+    let clock
+    beforeEach(() => {
+        clock = useFakeTimers(Date.now())
+    })
+    afterEach(() => {
+        clock.restore()
+    })
+
+    it('should open after failures and reject immediately', () => {
+        const breaker = new CircuitBreaker({failures: 2})
+        const events: CircuitEvent[] = []
+        breaker.on((event: CircuitEvent) => { events.push(event) })
+        const {fetchFn, fetcher} = createFetcher([500, 503], {circuitBreaker: breaker})
+
+        return settle(fetcher, 3).then((errors: Array<?Error>) => {
+            assert(fetchFn.calledTwice)
+            assert(errors[2] instanceof CircuitOpenError)
+            assert(breaker.state('http://api.test') === 'open')
+            assert.deepEqual(events, [{key: 'http://api.test', state: 'open', previous: 'closed'}])
+        })
+    })
+
+    it('should open on failure rate within window', () => {
+        const breaker = new CircuitBreaker({failures: 100, failureRate: 0.5, minRequests: 4})
+        const {fetcher} = createFetcher([200, 500, 200, 500], {circuitBreaker: breaker})
+
+        return settle(fetcher, 3)
+            .then(() => {
+                assert(breaker.state('http://api.test') === 'closed')
+                return settle(fetcher, 1)
+            })
+            .then(() => {
+                assert(breaker.state('http://api.test') === 'open')
+            })
+    })
+
+    it('should forget failures outside window', () => {
+        const breaker = new CircuitBreaker({failures: 2, window: 1000})
+        const {fetcher} = createFetcher([500, 500], {circuitBreaker: breaker})
+
+        return settle(fetcher, 1)
+            .then(() => {
+                clock.tick(1001)
+                return settle(fetcher, 1)
+            })
+            .then(() => {
+                assert(breaker.state('http://api.test') === 'closed')
+            })
+    })
+
+    it('should half-open after cooldown and close after successful trial', () => {
+        const breaker = new CircuitBreaker({failures: 1, cooldown: 1000})
+        const events: CircuitEvent[] = []
+        breaker.on((event: CircuitEvent) => { events.push(event) })
+        const {fetchFn, fetcher} = createFetcher([500, 500, 200], {circuitBreaker: breaker})
+
+        return settle(fetcher, 1)
+            .then(() => {
+                clock.tick(1000)
+                return settle(fetcher, 1)
+            })
+            .then(() => {
+                assert(breaker.state('http://api.test') === 'open')
+                clock.tick(1000)
+                const trial = fetcher.fetch()
+                const rejected = fetcher.fetch()
+                    .then(() => assert(false), (err: Error) => {
+                        assert(err instanceof CircuitOpenError)
+                    })
+
+                return Promise.all([trial, rejected])
+            })
+            .then(() => {
+                assert(fetchFn.calledThrice)
+                assert.deepEqual(events.map((event: CircuitEvent) => event.state), [
+                    'open', 'half-open', 'open', 'half-open', 'closed'
+                ])
+            })
+    })
+
+    it('should use custom key and share breaker through copy', () => {
+        const breaker = new CircuitBreaker({
+            failures: 1,
+            key: (req: Object) => req.fullUrl
+        })
+        const {fetcher} = createFetcher([500], {circuitBreaker: breaker})
+        const other = fetcher.copy({url: '/other'})
+
+        return settle(fetcher, 1)
+            .then(() => settle(other, 1))
+            .then((errors: Array<?Error>) => {
+                assert(errors[0] === null)
+                assert(breaker.state('http://api.test/user') === 'open')
+                breaker.reset()
+                assert(breaker.state('http://api.test/user') === 'closed')
+            })
+    })
+})
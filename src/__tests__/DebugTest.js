@@ -0,0 +1,101 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {Fetcher, shellQuote} from '../index'
+
+describe('DebugTest', () => {
+    function createHeaders(dict: {[name: string]: string}): Object {
+        return {
+            forEach(fn: (value: string, name: string) => void): void {
+                Object.keys(dict).forEach((name: string) => fn(dict[name], name))
+            }
+        }
+    }
+
+    const create = (rec?: Object = {}) => new Fetcher({
+        baseUrl: 'https://api.test',
+        url: '/user',
+        ...rec
+    })
+
+    it('should quote shell argument', () => {
+        assert(shellQuote('it\'s') === '\'it\'\\\'\'s\'')
+    })
+
+    it('should describe request as json', () => {
+        const fetcher = create({
+            method: 'post',
+            headers: createHeaders({'X-Token': 'a'}),
+            body: {name: 'test'}
+        })
+
+        assert.deepEqual(fetcher.toJSON(), {
+            method: 'POST',
+            url: 'https://api.test/user',
+            headers: {'x-token': 'a'},
+            body: '{"name":"test"}'
+        })
+        assert(JSON.parse(JSON.stringify(fetcher)).url === 'https://api.test/user')
+    })
+
+    it('should build curl command with escaped headers and body', () => {
+        const fetcher = create({
+            method: 'PUT',
+            headers: {'X-Name': 'O\'Brien'},
+            body: 'name=\'test\''
+        })
+
+        assert(fetcher.toCurl() === [
+            'curl -X PUT \'https://api.test/user\'',
+            '-H \'x-name: O\'\\\'\'Brien\'',
+            '--data-raw \'name=\'\\\'\'test\'\\\'\'\''
+        ].join(' '))
+        assert(create().toCurl() === 'curl \'https://api.test/user\'')
+        assert(create({method: 'HEAD'}).toCurl() === 'curl --head \'https://api.test/user\'')
+    })
+
+    it('should build curl form arguments from FormData', () => {
+        class FakeFormData {
+            items: Array<[string, mixed]> = []
+            append(name: string, value: mixed): void {
+                this.items.push([name, value])
+            }
+            forEach(fn: (value: mixed, name: string) => void): void {
+                this.items.forEach((item: [string, mixed]) => fn(item[1], item[0]))
+            }
+        }
+        const prevFormData = global.FormData
+        global.FormData = FakeFormData
+        try {
+            const formData = new FakeFormData()
+            formData.append('name', '@test')
+            const fetcher = create({method: 'POST', body: (formData: any)})
+
+            assert(fetcher.toCurl()
+                === 'curl -X POST \'https://api.test/user\' --form-string \'name=@test\'')
+        } finally {
+            global.FormData = prevFormData
+        }
+    })
+
+    it('should create whatwg Request', () => {
+        const prevRequest = global.Request
+        global.Request = class FakeRequest {
+            url: string
+            options: Object
+            constructor(url: string, options: Object) {
+                this.url = url
+                this.options = options
+            }
+        }
+        try {
+            const request: Object = create({method: 'DELETE'}).toRequest()
+            assert(request.url === 'https://api.test/user')
+            assert(request.options.method === 'DELETE')
+        } finally {
+            global.Request = prevRequest
+        }
+    })
+})
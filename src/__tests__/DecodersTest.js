@@ -0,0 +1,90 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {
+    Fetcher,
+    NotFoundError,
+    ParseError,
+    checkStatus,
+    decodeAuto,
+    decodeJson,
+    decodeText
+} from '../index'
+import {MockResponse} from '../mockFetch'
+
+class BlobResponse extends MockResponse {
+    blob(): Promise<Object> {
+        return this.text().then((body: string) => ({blob: body}))
+    }
+}
+
+function fakeResponse(status: number, body: string, headers?: {[id: string]: string}): Response {
+    return (new BlobResponse('/api/user', {status, statusText: `Status ${status}`, headers, body}): any)
+}
+
+describe('DecodersTest', () => {
+    it('should decode json', () => {
+        return decodeJson(Promise.resolve(fakeResponse(200, '{"id":"1"}')))
+            .then((result: Object) => {
+                assert.deepEqual(result, {id: '1'})
+            })
+    })
+
+    it('should decode empty body', () => {
+        return Promise.all([
+            decodeJson(Promise.resolve(fakeResponse(204, ''))),
+            decodeJson(Promise.resolve(fakeResponse(200, '', {'Content-Length': '0'}))),
+            decodeText(Promise.resolve(fakeResponse(204, ''))),
+            decodeAuto(Promise.resolve(fakeResponse(204, '')))
+        ])
+            .then((results: mixed[]) => {
+                assert.deepEqual(results, [null, null, '', null])
+            })
+    })
+
+    it('should reject with ParseError on malformed json', () => {
+        return decodeJson(Promise.resolve(fakeResponse(200, '<html>Error</html>')))
+            .then(() => assert(false), (err: ParseError) => {
+                assert(err instanceof ParseError)
+                assert(err.url === '/api/user')
+                assert(err.snippet === '<html>Error</html>')
+            })
+    })
+
+    it('should choose decoder by Content-Type', () => {
+        const decode = (body: string, contentType: string) => decodeAuto(Promise.resolve(
+            fakeResponse(200, body, {'Content-Type': contentType})
+        ))
+
+        return Promise.all([
+            decode('{"a":1}', 'application/problem+json; charset=utf-8'),
+            decode('test', 'text/html'),
+            decode('bin', 'image/png')
+        ])
+            .then((results: mixed[]) => {
+                assert.deepEqual(results, [{a: 1}, 'test', {blob: 'bin'}])
+            })
+    })
+
+    it('should compose with checkStatus in copy', () => {
+        const responses = [fakeResponse(200, '{"id":"1"}'), fakeResponse(404, 'Not found')]
+        const base = new Fetcher({
+            fetchFn: () => Promise.resolve(responses.shift()),
+            postProcess: (r: Promise<Response>) => r.then(checkStatus)
+        })
+        const jsonFetcher = base.copy({
+            postProcess: decodeJson
+        })
+
+        return jsonFetcher.fetch()
+            .then((result: Object) => {
+                assert.deepEqual(result, {id: '1'})
+                return jsonFetcher.fetch()
+            })
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof NotFoundError)
+            })
+    })
+})
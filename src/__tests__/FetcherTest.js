@@ -1,5 +1,6 @@
 // @flow
 /* eslint-env mocha */
+/* global AbortController */
 
 import assert from 'power-assert'
 import querystring from 'querystring'
@@ -7,9 +8,22 @@ import {spy} from 'sinon'
 
 import {
     Fetcher,
-    createSerializeParams
+    HttpError,
+    Loader,
+    TimeoutError,
+    AbortError,
+    checkStatus,
+    createJsonEncoder,
+    createSerializeParams,
+    decodeJson
 } from '../index'
-import type {FetcherRec} from '../index'
+import {headersToObject} from '../headers'
+import type {FetchEvent, FetcherRec, IFetcher, Next, Progress} from '../index'
+import {MockResponse, createMockFetch} from '../mockFetch'
+
+function fakeResponse(status: number, headers?: {[id: string]: string}): Response {
+    return (new MockResponse('', {status, headers}): any)
+}
 
 describe('FetcherTest', () => {
     describe('base', () => {
@@ -102,14 +116,17 @@ describe('FetcherTest', () => {
     })
 
     describe('serializeParams related', () => {
-        it('should throw error if no createSerializeParams provided and params is set', () => {
-            assert.throws(() =>
-                new Fetcher({
-                    params: {
-                        a: '1'
-                    }
-                })
-            )
+        it('should use built-in serializeParams if not provided and params is set', () => {
+            const fetcher = new Fetcher({
+                baseUrl: '/api',
+                url: '/user/:id',
+                params: {
+                    id: '1',
+                    a: ['1', '2']
+                }
+            })
+
+            assert(fetcher.fullUrl === '/api/user/1?a=1&a=2')
         })
 
         it('should build fullUrl with template', () => {
@@ -184,4 +201,645 @@ describe('FetcherTest', () => {
             assert(b.fullUrl === '/api/user' + JSON.stringify(bOptions.params))
         })
     })
+
+    describe('retry', () => {
+        it('should retry failed response and postProcess last one', () => {
+            const responses = [fakeResponse(503), fakeResponse(500), fakeResponse(200)]
+            const fakeFetch = spy(() => Promise.resolve(responses.shift()))
+            const postProcess = spy((r: Promise<Response>) => r.then(checkStatus))
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                postProcess,
+                retry: {delay: 0}
+            })
+
+            return fetcher.fetch()
+                .then((response: Response) => {
+                    assert(response.status === 200)
+                    assert(fakeFetch.calledThrice)
+                    assert(postProcess.calledOnce)
+                })
+        })
+
+        it('should retry network errors and rethrow last one', () => {
+            const fakeFetch = spy(() => Promise.reject(new TypeError('Network error')))
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                retry: {attempts: 2, delay: 0}
+            })
+
+            return fetcher.fetch()
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof TypeError)
+                    assert(fakeFetch.calledTwice)
+                })
+        })
+
+        it('should not retry non-idempotent methods by default', () => {
+            const fakeFetch = spy(() => Promise.resolve(fakeResponse(503)))
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                method: 'POST',
+                postProcess: (r: Promise<Response>) => r.then(checkStatus),
+                retry: {delay: 0}
+            })
+
+            return fetcher.fetch()
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof HttpError)
+                    assert(fakeFetch.calledOnce)
+                })
+        })
+
+        it('should use retryOn predicate', () => {
+            const fakeFetch = spy(() => Promise.resolve(fakeResponse(404)))
+            const retryOn = spy((err: Error) =>
+                err instanceof HttpError && err.response.status === 404
+            )
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                retry: {attempts: 2, delay: 0, retryOn}
+            })
+
+            return fetcher.fetch()
+                .then((response: Response) => {
+                    assert(response.status === 404)
+                    assert(fakeFetch.calledTwice)
+                    assert(retryOn.calledOnce)
+                    assert(retryOn.firstCall.args[1] === 1)
+                })
+        })
+
+        it('should honor Retry-After header', () => {
+            const responses = [fakeResponse(429, {'Retry-After': '0.02'}), fakeResponse(200)]
+            const fakeFetch = spy(() => Promise.resolve(responses.shift()))
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                retry: {delay: 0}
+            })
+            const start = Date.now()
+
+            return fetcher.fetch()
+                .then(() => {
+                    assert(fakeFetch.calledTwice)
+                    assert(Date.now() - start >= 15)
+                })
+        })
+
+        it('should inherit and override retry in copy', () => {
+            const fakeFetch = spy(() => Promise.resolve(fakeResponse(500)))
+            const a = new Fetcher({
+                fetchFn: fakeFetch,
+                retry: {attempts: 2, delay: 0}
+            })
+            const b = a.copy({url: '/user'})
+            const c = a.copy({retry: null})
+
+            return b.fetch()
+                .then(() => c.fetch())
+                .then(() => {
+                    assert(fakeFetch.calledThrice)
+                })
+        })
+
+        it('should stop retry delay on abort', () => {
+            const controller = new AbortController()
+            const fakeFetch = spy(() => {
+                setTimeout(() => controller.abort(), 0)
+                return Promise.resolve(fakeResponse(503))
+            })
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                signal: controller.signal,
+                retry: {delay: 2000, jitter: false, retryAfter: false}
+            })
+            const start = Date.now()
+
+            return fetcher.fetch()
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof AbortError)
+                    assert(Date.now() - start < 1000)
+                    assert(fakeFetch.calledOnce)
+                })
+        })
+    })
+
+    describe('timeout and signal', () => {
+        function neverFetch(): Promise<Response> {
+            return new Promise(() => {})
+        }
+
+        it('should reject with TimeoutError', () => {
+            const fetcher = new Fetcher({
+                fetchFn: neverFetch,
+                baseUrl: '/api',
+                url: '/user',
+                timeout: 10
+            })
+
+            return fetcher.fetch()
+                .then(() => assert(false), (err: TimeoutError) => {
+                    assert(err instanceof TimeoutError)
+                    assert(err.timeout === 10)
+                    assert(err.url === '/api/user')
+                })
+        })
+
+        it('should pass own signal to fetchFn and abort it on timeout', () => {
+            const fakeFetch = spy(neverFetch)
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                timeout: 10
+            })
+
+            return fetcher.fetch()
+                .catch(() => {
+                    const signal: AbortSignal = fakeFetch.firstCall.args[1].signal
+                    assert(signal.aborted)
+                })
+        })
+
+        it('should reject with AbortError after signal aborted', () => {
+            const controller = new AbortController()
+            const fetcher = new Fetcher({
+                fetchFn: neverFetch,
+                signal: controller.signal
+            })
+            const result = fetcher.fetch()
+            controller.abort()
+
+            return result
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof AbortError)
+                })
+        })
+
+        it('should not retry aborted request', () => {
+            const controller = new AbortController()
+            const fakeFetch = spy(neverFetch)
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                signal: controller.signal,
+                retry: {delay: 0}
+            })
+            const result = fetcher.fetch()
+            controller.abort()
+
+            return result
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof AbortError)
+                    assert(fakeFetch.calledOnce)
+                })
+        })
+
+        it('should retry timed out request', () => {
+            const fakeFetch = spy(neverFetch)
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                timeout: 5,
+                retry: {attempts: 2, delay: 0}
+            })
+
+            return fetcher.fetch()
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof TimeoutError)
+                    assert(fakeFetch.calledTwice)
+                })
+        })
+    })
+
+    describe('middlewares', () => {
+        it('should accumulate middlewares through copy in order', () => {
+            const calls: string[] = []
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const a = new Fetcher({
+                fetchFn: fakeFetch,
+                middlewares: [(req: IFetcher<*, *>, next: Next) => {
+                    calls.push('a')
+                    return next(req)
+                }]
+            })
+            const b = a.copy({
+                middlewares: [(req: IFetcher<*, *>, next: Next) => {
+                    calls.push('b')
+                    return next(req)
+                }]
+            })
+
+            return b.fetch({url: '/user'})
+                .then(() => {
+                    assert.deepEqual(calls, ['a', 'b'])
+                    assert(fakeFetch.calledOnce)
+                })
+        })
+
+        it('should change outgoing request', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                headers: {a: '1'},
+                middlewares: [(req: IFetcher<*, *>, next: Next) =>
+                    next(req.copy({url: '/user', headers: {b: '2'}}))
+                ]
+            })
+
+            return fetcher.fetch()
+                .then(() => {
+                    assert(fakeFetch.firstCall.args[0] === '//user')
+                    assert.deepEqual(
+                        headersToObject(fakeFetch.firstCall.args[1].headers),
+                        {a: '1', b: '2'}
+                    )
+                })
+        })
+
+        it('should short-circuit request and inspect response before postProcess', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const postProcess = spy((r: Promise<any>) => r.then((v: string) => v + '-post'))
+            const fetcher = new Fetcher({
+                fetchFn: fakeFetch,
+                postProcess,
+                middlewares: [
+                    (req: IFetcher<*, *>, next: Next) => next(req)
+                        .then((response: any) => (response + '-inspected': any)),
+                    () => Promise.resolve(('cached': any))
+                ]
+            })
+
+            return fetcher.fetch()
+                .then((result: string) => {
+                    assert(result === 'cached-inspected-post')
+                    assert(fakeFetch.notCalled)
+                })
+        })
+
+        it('should reject on sync middleware error', () => {
+            const fetcher = new Fetcher({
+                fetchFn: () => Promise.resolve(('test': any)),
+                middlewares: [() => {
+                    throw new Error('test')
+                }]
+            })
+
+            return fetcher.fetch()
+                .then(() => assert(false), (err: Error) => {
+                    assert(err.message === 'test')
+                })
+        })
+
+        it('should use postProcess of fetcher returned by preProcess', () => {
+            const fetcher = new Fetcher({
+                fetchFn: () => Promise.resolve((5: any)),
+                preProcess: (req: IFetcher<*, *>) => Promise.resolve(req.copy({
+                    postProcess: (r: Promise<any>) => r.then((v: number) => v * 10)
+                }))
+            })
+
+            return fetcher.fetch()
+                .then((result: number) => {
+                    assert(result === 50)
+                })
+        })
+
+        it('should compose preProcess with parent preProcess', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const p1 = spy((req: IFetcher<*, *>) => Promise.resolve(req.copy({headers: {a: '1'}})))
+            const p2 = spy((req: IFetcher<*, *>) => Promise.resolve(req.copy({headers: {b: '2'}})))
+            const a = new Fetcher({fetchFn: fakeFetch, preProcess: p1})
+            const b = a.copy({preProcess: p2})
+
+            return b.fetch()
+                .then(() => {
+                    assert(p1.calledOnce)
+                    assert(p2.calledOnce)
+                    assert.deepEqual(
+                        headersToObject(fakeFetch.firstCall.args[1].headers),
+                        {a: '1', b: '2'}
+                    )
+                })
+        })
+    })
+
+    describe('dedupe', () => {
+        function createFetcher(dedupe: mixed = true) {
+            const mock = createMockFetch()
+                .route('/api/user/:id', {body: {id: '1'}, delay: 5})
+            const fetcher = new Fetcher({
+                baseUrl: '/api',
+                url: '/user/:id',
+                fetchFn: mock.fetch,
+                serializeParams: createSerializeParams(querystring.stringify),
+                postProcess: decodeJson,
+                dedupe: (dedupe: any)
+            })
+
+            return {mock, fetcher}
+        }
+
+        it('should share in-flight request between identical requests', () => {
+            const {mock, fetcher} = createFetcher()
+
+            return Promise.all([
+                fetcher.fetch({params: {id: '1'}}),
+                fetcher.fetch({params: {id: '1'}}),
+                fetcher.copy({headers: {a: '1'}}).fetch({params: {id: '1'}})
+            ])
+                .then((results: Object[]) => {
+                    assert.deepEqual(results, [{id: '1'}, {id: '1'}, {id: '1'}])
+                    assert(mock.calls.length === 2)
+                })
+        })
+
+        it('should not cache settled request', () => {
+            const {mock, fetcher} = createFetcher()
+
+            return fetcher.fetch({params: {id: '1'}})
+                .then(() => fetcher.fetch({params: {id: '1'}}))
+                .then(() => {
+                    assert(mock.calls.length === 2)
+                })
+        })
+
+        it('should not dedupe non-GET requests', () => {
+            const {mock, fetcher} = createFetcher()
+            const post = fetcher.copy({method: 'POST'})
+
+            return Promise.all([
+                post.fetch({params: {id: '1'}}),
+                post.fetch({params: {id: '1'}})
+            ])
+                .then(() => {
+                    assert(mock.calls.length === 2)
+                })
+        })
+
+        it('should use custom key', () => {
+            const {mock, fetcher} = createFetcher({
+                key: (req: IFetcher<*, *>) => req.fullUrl.split('?')[0]
+            })
+
+            return Promise.all([
+                fetcher.fetch({params: {id: '1', q: '1'}}),
+                fetcher.fetch({params: {id: '1', q: '2'}})
+            ])
+                .then(() => {
+                    assert(mock.calls.length === 1)
+                })
+        })
+
+        it('should reject only aborted caller of shared request', () => {
+            const {mock, fetcher} = createFetcher()
+            const l1 = new Loader(fetcher)
+            const l2 = new Loader(fetcher)
+            const r1 = l1.fetch({params: {id: '1'}})
+            const r2 = l2.fetch({params: {id: '1'}})
+            l1.reset(true)
+
+            return Promise.all([
+                r1.then(() => assert(false), (err: Error) => {
+                    assert(err instanceof AbortError)
+                }),
+                r2
+            ])
+                .then((results: [void, Object]) => {
+                    assert.deepEqual(results[1], {id: '1'})
+                    assert(mock.calls.length === 1)
+                })
+        })
+
+        it('should abort shared request after all callers aborted', () => {
+            const signals: AbortSignal[] = []
+            const fetcher = new Fetcher({
+                fetchFn: (url: string, options: Object) => {
+                    signals.push(options.signal)
+                    return new Promise(() => {})
+                },
+                dedupe: true
+            })
+            const l1 = new Loader(fetcher)
+            const l2 = new Loader(fetcher)
+            const results = [l1.fetch(), l2.fetch()].map((result: Promise<*>) => result
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof AbortError)
+                })
+            )
+            l1.reset(true)
+            assert(signals.length === 1 && !signals[0].aborted)
+            l2.reset(true)
+            assert(signals[0].aborted)
+
+            return Promise.all(results)
+        })
+
+        it('should be disabled by default', () => {
+            const {mock, fetcher} = createFetcher(false)
+
+            return Promise.all([
+                fetcher.fetch({params: {id: '1'}}),
+                fetcher.fetch({params: {id: '1'}})
+            ])
+                .then(() => {
+                    assert(mock.calls.length === 2)
+                })
+        })
+    })
+
+    describe('progress', () => {
+        function createResponse(chunks: number[]): Object {
+            const stream = () => {
+                let index = 0
+                return {
+                    getReader: () => ({
+                        read: () => Promise.resolve(index < chunks.length
+                            ? {done: false, value: new Uint8Array(chunks[index++])}
+                            : {done: true, value: undefined}
+                        )
+                    })
+                }
+            }
+            const response: Object = {
+                status: 200,
+                headers: {get: (name: string) => (name === 'content-length' ? '30' : null)},
+                body: stream()
+            }
+            response.clone = () => ({...response, body: stream()})
+
+            return response
+        }
+
+        it('should report download progress', () => {
+            const onDownloadProgress = spy()
+            const response = createResponse([10, 20])
+            const fetcher = new Fetcher({fetchFn: () => Promise.resolve(response)})
+                .copy({onDownloadProgress})
+
+            return fetcher.fetch()
+                .then((result: Object) => {
+                    assert(result === response)
+                    return new Promise((resolve: () => void) => setTimeout(resolve, 0))
+                })
+                .then(() => {
+                    assert.deepEqual(
+                        onDownloadProgress.args.map((args: [Progress]) => args[0]),
+                        [{loaded: 10, total: 30}, {loaded: 30, total: 30}]
+                    )
+                })
+        })
+
+        it('should pass upload progress handler to fetchFn', () => {
+            const onUploadProgress = spy()
+            const fetchFn = spy(() => Promise.resolve('test'))
+            const fetcher = new Fetcher({fetchFn, onUploadProgress}).copy({method: 'POST'})
+
+            return fetcher.fetch().then(() => {
+                assert(fetchFn.firstCall.args[1].onUploadProgress === onUploadProgress)
+            })
+        })
+    })
+
+    describe('encoders', () => {
+        const body = {a: 1, b: {c: 'x y'}}
+
+        it('should encode plain object to json by default', () => {
+            const fetcher = new Fetcher({body})
+            assert(fetcher.options.body === '{"a":1,"b":{"c":"x y"}}')
+            assert((fetcher.options.headers: any)['Content-Type'] === 'application/json')
+        })
+
+        it('should choose encoder by content type', () => {
+            const form = new Fetcher({
+                body,
+                headers: {'content-type': 'application/x-www-form-urlencoded'}
+            })
+            assert(form.options.body === 'a=1&b[c]=x%20y')
+
+            const ndjson = new Fetcher({
+                body: [{a: 1}, {a: 2}],
+                headers: {'Content-Type': 'application/x-ndjson'}
+            })
+            assert(ndjson.options.body === '{"a":1}\n{"a":2}\n')
+
+            const text = new Fetcher({body: ['a', 'b'], headers: {'Content-Type': 'text/plain'}})
+            assert(text.options.body === 'a\nb')
+
+            const json = new Fetcher({
+                body,
+                headers: {'Content-Type': 'application/vnd.api+json; charset=utf-8'}
+            })
+            assert(json.options.body === JSON.stringify(body))
+        })
+
+        it('should inherit custom encoders in copy', () => {
+            const base = new Fetcher({
+                encoders: {
+                    'application/json': createJsonEncoder(
+                        (key: string, value: mixed) => (key === 'c' ? undefined : value)
+                    ),
+                    'application/x-custom': (value: Object) => Object.keys(value).join(',')
+                }
+            })
+            const custom = base.copy({body, headers: {'Content-Type': 'application/x-custom'}})
+            assert(custom.options.body === 'a,b')
+
+            const json = base.copy({body}).copy({method: 'POST'})
+            assert(json.options.body === '{"a":1,"b":{}}')
+        })
+    })
+
+    describe('hooks', () => {
+        function createHooks(events: FetchEvent[]) {
+            const push = (event: FetchEvent) => { events.push(event) }
+            return {
+                onRequest: push,
+                onResponse: push,
+                onError: push,
+                onRetry: push,
+                onCacheHit: push,
+                onCacheMiss: push
+            }
+        }
+
+        it('should emit request and response events with correlation id header', () => {
+            const events: FetchEvent[] = []
+            const fetchFn = spy(() => Promise.resolve(fakeResponse(200)))
+            const fetcher = new Fetcher({
+                baseUrl: '/api',
+                fetchFn,
+                serializeParams: createSerializeParams(),
+                hooks: createHooks(events)
+            })
+                .copy({url: '/user/:id', params: {id: '1'}, method: 'post'})
+
+            return fetcher.fetch().then(() => {
+                assert.deepEqual(events.map((e: FetchEvent) => e.type), ['request', 'response'])
+                const [request, response] = events
+                assert(request.id === response.id)
+                const headers = headersToObject(fetchFn.firstCall.args[1].headers)
+                assert(headers['x-correlation-id'] === request.id)
+                assert(response.method === 'POST')
+                assert(response.fullUrl === '/api/user/1')
+                assert(response.route === '/api/user/:id')
+                assert(response.status === 200)
+                assert(typeof response.duration === 'number')
+                assert(!('x-correlation-id' in headersToObject(fetcher.options.headers)))
+            })
+        })
+
+        it('should accumulate hooks through copy', () => {
+            const first: FetchEvent[] = []
+            const second: FetchEvent[] = []
+            const fetcher = new Fetcher({
+                fetchFn: () => Promise.resolve(fakeResponse(200)),
+                hooks: createHooks(first)
+            })
+                .copy({hooks: createHooks(second), correlationHeader: null})
+            const fetchFn = spy(() => Promise.resolve(fakeResponse(200)))
+
+            return fetcher.copy({fetchFn}).fetch().then(() => {
+                assert(first.length === 2)
+                assert(second.length === 2)
+                assert.deepEqual(headersToObject(fetchFn.firstCall.args[1].headers), {})
+            })
+        })
+
+        it('should emit retry and error events', () => {
+            const events: FetchEvent[] = []
+            const fetcher = new Fetcher({
+                fetchFn: () => Promise.resolve(fakeResponse(503)),
+                postProcess: (r: Promise<Response>) => r.then(checkStatus),
+                retry: {attempts: 2, delay: 0},
+                hooks: createHooks(events)
+            })
+
+            return fetcher.fetch()
+                .then(() => assert(false), (err: Error) => {
+                    assert(err instanceof HttpError)
+                    assert.deepEqual(
+                        events.map((e: FetchEvent) => e.type),
+                        ['request', 'retry', 'error']
+                    )
+                    assert(events[1].attempt === 1)
+                    assert(events[2].status === 503)
+                    assert(events[2].error === err)
+                })
+        })
+
+        it('should emit cache miss and hit from Loader', () => {
+            const events: FetchEvent[] = []
+            const fetcher = new Fetcher({
+                fetchFn: () => Promise.resolve(fakeResponse(200)),
+                hooks: createHooks(events)
+            })
+            const loader = new Loader(fetcher)
+
+            return loader.fetch()
+                .then(() => loader.fetch())
+                .then(() => {
+                    assert.deepEqual(
+                        events.map((e: FetchEvent) => e.type),
+                        ['cacheMiss', 'request', 'response', 'cacheHit']
+                    )
+                })
+        })
+    })
 })
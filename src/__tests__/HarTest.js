@@ -0,0 +1,69 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {Fetcher, HarRecorder} from '../index'
+import type {HarEntry, IFetcher} from '../index'
+import {createMockFetch} from '../mockFetch'
+
+describe('HarTest', () => {
+    function createFetcher(har: HarRecorder): IFetcher<*, *> {
+        const mock = createMockFetch()
+            .get('/api/user', {body: {id: '1'}, headers: {'X-Test': 'a'}})
+            .post('/api/user', {status: 500, body: 'error'})
+
+        return new Fetcher({baseUrl: '/api', url: '/user', fetchFn: mock.fetch})
+            .copy({middlewares: [har.middleware]})
+    }
+
+    const tick = () => new Promise((resolve: () => void) => setTimeout(resolve, 0))
+
+    it('should record request and response pairs', () => {
+        const har = new HarRecorder()
+        const fetcher = createFetcher(har)
+
+        return fetcher.fetch({url: '/user?a=1&b=2'})
+            .then(() => fetcher.fetch({method: 'POST', body: {name: 'test'}}))
+            .then(tick)
+            .then(() => {
+                const result = har.toHAR()
+                assert(result.log.version === '1.2')
+                const [get, post] = result.log.entries
+                assert(get.request.url === '/api/user?a=1&b=2')
+                assert.deepEqual(get.request.queryString, [
+                    {name: 'a', value: '1'},
+                    {name: 'b', value: '2'}
+                ])
+                assert(get.response.status === 200)
+                assert(get.response.content.text === '{"id":"1"}')
+                assert(get.response.headers.some((h: Object) => h.name === 'x-test' && h.value === 'a'))
+                assert(post.request.method === 'POST')
+                assert.deepEqual(post.request.postData, {
+                    mimeType: 'application/json',
+                    text: '{"name":"test"}'
+                })
+                assert(post.response.status === 500)
+            })
+    })
+
+    it('should record network errors and drop oldest entries', () => {
+        const har = new HarRecorder({maxEntries: 1})
+        const fetcher = new Fetcher({
+            url: '/user',
+            fetchFn: () => Promise.reject(new TypeError('Network error'))
+        })
+            .copy({middlewares: [har.middleware]})
+
+        return fetcher.fetch().catch(() => fetcher.fetch({url: '/other'}))
+            .catch(() => {
+                const entries: HarEntry[] = har.toHAR().log.entries
+                assert(entries.length === 1)
+                assert(entries[0].request.url.indexOf('/other') !== -1)
+                assert(entries[0].response.status === 0)
+                assert(entries[0].response._error === 'Network error')
+                har.clear()
+                assert(har.toHAR().log.entries.length === 0)
+            })
+    })
+})
@@ -1,14 +1,20 @@
 // @flow
 /* eslint-env mocha */
+/* global AbortController */
 
 import assert from 'power-assert'
-import {spy} from 'sinon'
+import {spy, useFakeTimers} from 'sinon'
 
 import {
+    AbortError,
     Loader,
-    Fetcher
+    Fetcher,
+    checkStatus,
+    decodeJson
 } from '../index'
-import type {FetcherRec} from '../index'
+import type {FetcherRec, LoaderState} from '../index'
+import {createMockFetch} from '../mockFetch'
+import type {MockRequest} from '../mockFetch'
 
 describe('LoaderTest', () => {
     it('custom loader', () => {
@@ -76,4 +82,356 @@ describe('LoaderTest', () => {
                 assert(fakeFetch.calledTwice)
             })
     })
+
+    it('should abort in-flight request on reset', () => {
+        const fakeFetch = spy(() => new Promise(() => {}))
+        const loader = new Loader(new Fetcher({fetchFn: fakeFetch}))
+        const result = loader.fetch()
+        loader.reset(true)
+
+        return result
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof AbortError)
+                assert(fakeFetch.firstCall.args[1].signal.aborted)
+            })
+    })
+
+    it('should abort in-flight request by signal of fetcher', () => {
+        const controller = new AbortController()
+        const fakeFetch = spy(() => new Promise(() => {}))
+        const loader = new Loader(new Fetcher({fetchFn: fakeFetch, signal: controller.signal}))
+        const result = loader.fetch()
+        controller.abort()
+
+        return result
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof AbortError)
+                assert(fakeFetch.firstCall.args[1].signal.aborted)
+            })
+    })
+
+    it('should not drop new result on stale request error', () => {
+        const rejects = []
+        const fakeFetch = spy(() => new Promise((
+            resolve: (v: string) => void,
+            reject: (e: Error) => void
+        ) => rejects.push(reject)))
+        const loader = new Loader(new Fetcher({fetchFn: fakeFetch}))
+        const stale = loader.fetch()
+        const fresh = loader.reset().fetch()
+        rejects[0](new Error('stale'))
+
+        return stale
+            .catch(() => {
+                assert(loader.fetch() === fresh)
+            })
+    })
+
+    it('should fetch with custom IFetcher implementation', () => {
+        const fetcher: Object = {
+            options: {},
+            fullUrl: '/',
+            postProcess: (r: Promise<*>) => r,
+            copy: () => fetcher,
+            fetch: () => Promise.resolve(1)
+        }
+
+        return new Loader(fetcher).fetch()
+            .then((result: number) => {
+                assert(result === 1)
+            })
+    })
+
+    describe('expiration', () => {
+        let clock
+        beforeEach(() => {
+            clock = useFakeTimers(Date.now())
+        })
+        afterEach(() => {
+            clock.restore()
+        })
+
+        function createCounterFetcher(): Fetcher<number, *> {
+            let count = 0
+            return new Fetcher({
+                fetchFn: () => Promise.resolve((++count: any))
+            })
+        }
+
+        it('should refetch result after maxAge', () => {
+            const loader = new Loader(createCounterFetcher(), {maxAge: 100})
+            assert(loader.status() === 'empty')
+            const result = loader.fetch()
+            assert(loader.status() === 'pending')
+
+            return result
+                .then((value: number) => {
+                    assert(value === 1)
+                    assert(loader.status() === 'fresh')
+                    clock.tick(50)
+                    return loader.fetch()
+                })
+                .then((value: number) => {
+                    assert(value === 1)
+                    clock.tick(60)
+                    assert(loader.status() === 'expired')
+                    return loader.fetch()
+                })
+                .then((value: number) => {
+                    assert(value === 2)
+                })
+        })
+
+        it('should serve stale result while revalidating', () => {
+            const loader = new Loader(createCounterFetcher(), {
+                maxAge: 100,
+                staleWhileRevalidate: 100
+            })
+
+            return loader.fetch()
+                .then(() => {
+                    clock.tick(150)
+                    assert(loader.status() === 'stale')
+                    const result = loader.fetch()
+                    assert(loader.status() === 'revalidating')
+                    return result
+                })
+                .then((value: number) => {
+                    assert(value === 1)
+                    return Promise.resolve()
+                })
+                .then(() => {
+                    assert(loader.status() === 'fresh')
+                    return loader.fetch()
+                })
+                .then((value: number) => {
+                    assert(value === 2)
+                })
+        })
+
+        it('should refetch if stale window exceeded', () => {
+            const loader = new Loader(createCounterFetcher(), {
+                maxAge: 100,
+                staleWhileRevalidate: 100
+            })
+
+            return loader.fetch()
+                .then(() => {
+                    clock.tick(250)
+                    return loader.fetch()
+                })
+                .then((value: number) => {
+                    assert(value === 2)
+                })
+        })
+    })
+
+    describe('http cache', () => {
+        function createFetcher(fetchFn: Function): Fetcher<*, *> {
+            return new Fetcher({
+                baseUrl: '/api',
+                url: '/user',
+                fetchFn,
+                postProcess: (r: Promise<Response>) => decodeJson(r.then(checkStatus))
+            })
+        }
+
+        it('should reuse cached result on 304', () => {
+            const mock = createMockFetch().get('/api/user', (req: MockRequest) => (
+                req.headers['if-none-match'] === '"v1"'
+                    && req.headers['if-modified-since'] === 'Wed, 21 Oct 2015 07:28:00 GMT'
+                    ? {status: 304}
+                    : {
+                        headers: {
+                            etag: '"v1"',
+                            'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT'
+                        },
+                        body: {name: 'user'}
+                    }
+            ))
+            const loader = new Loader(createFetcher(mock.fetch), {conditional: true})
+
+            return loader.fetch()
+                .then(() => loader.reset().fetch())
+                .then((value: Object) => {
+                    assert.deepEqual(value, {name: 'user'})
+                    assert(mock.calls.length === 2)
+                    assert(mock.calls[1].headers['if-none-match'] === '"v1"')
+                    return loader.reset().fetch()
+                })
+                .then(() => {
+                    assert(mock.calls[2].headers['if-none-match'] === '"v1"')
+                })
+        })
+
+        it('should not send validators by default', () => {
+            const mock = createMockFetch().get('/api/user', {headers: {etag: '"v1"'}, body: {}})
+            const loader = new Loader(createFetcher(mock.fetch))
+
+            return loader.fetch()
+                .then(() => loader.reset().fetch())
+                .then(() => {
+                    assert(mock.calls[1].headers['if-none-match'] === undefined)
+                })
+        })
+
+        describe('cache-control', () => {
+            let clock
+            beforeEach(() => {
+                clock = useFakeTimers(Date.now())
+            })
+            afterEach(() => {
+                clock.restore()
+            })
+
+            it('should use max-age as result lifetime', () => {
+                const mock = createMockFetch()
+                    .get('/api/user', {headers: {'cache-control': 'public, max-age=10'}, body: {}})
+                const loader = new Loader(createFetcher(mock.fetch), {cacheControl: true})
+
+                return loader.fetch()
+                    .then(() => {
+                        clock.tick(9000)
+                        assert(loader.status() === 'fresh')
+                        clock.tick(1000)
+                        assert(loader.status() === 'expired')
+                    })
+            })
+
+            it('should keep max-age of stored response after 304 without cache-control', () => {
+                const mock = createMockFetch().get('/api/user', (req: MockRequest) => (
+                    req.headers['if-none-match'] === '"v1"'
+                        ? {status: 304}
+                        : {headers: {'cache-control': 'max-age=0', etag: '"v1"'}, body: {}}
+                ))
+                const loader = new Loader(createFetcher(mock.fetch), {
+                    cacheControl: true,
+                    conditional: true
+                })
+
+                return loader.fetch()
+                    .then(() => loader.fetch())
+                    .then(() => {
+                        assert(mock.calls.length === 2)
+                        assert(mock.calls[1].headers['if-none-match'] === '"v1"')
+                        assert(loader.status() === 'expired')
+                    })
+            })
+
+            it('should expire no-store result and drop validators', () => {
+                const mock = createMockFetch()
+                    .get('/api/user', {headers: {'cache-control': 'no-store', etag: '"v1"'}, body: {}})
+                const loader = new Loader(createFetcher(mock.fetch), {
+                    cacheControl: true,
+                    conditional: true
+                })
+
+                return loader.fetch()
+                    .then(() => {
+                        assert(loader.status() === 'expired')
+                        return loader.fetch()
+                    })
+                    .then(() => {
+                        assert(mock.calls.length === 2)
+                        assert(mock.calls[1].headers['if-none-match'] === undefined)
+                    })
+            })
+        })
+    })
+
+    describe('subscribe', () => {
+        function createFetcher(fetchFn: Function): Fetcher<*, *> {
+            return new Fetcher({fetchFn})
+        }
+
+        it('should emit loading and success states', () => {
+            const loader = new Loader(createFetcher(() => Promise.resolve('test')))
+            const listener = spy()
+            const unsubscribe = loader.subscribe(listener)
+
+            return loader.fetch()
+                .then(() => {
+                    assert.deepEqual(
+                        listener.args.map((args: [LoaderState<*>]) => args[0]),
+                        [
+                            {status: 'loading', value: null, error: null},
+                            {status: 'success', value: 'test', error: null}
+                        ]
+                    )
+                    unsubscribe()
+                    return loader.reset().fetch()
+                })
+                .then(() => {
+                    assert(listener.calledTwice)
+                })
+        })
+
+        it('should emit error state', () => {
+            const error = new Error('test')
+            const loader = new Loader(createFetcher(() => Promise.reject(error)))
+            const listener = spy()
+            loader.subscribe(listener)
+
+            return loader.fetch()
+                .then(() => assert(false), () => {
+                    assert(listener.secondCall.args[0].status === 'error')
+                    assert(listener.secondCall.args[0].error === error)
+                })
+        })
+
+        it('should set value optimistically', () => {
+            const loader = new Loader(createFetcher(() => Promise.resolve(1)))
+            const listener = spy()
+
+            return loader.fetch()
+                .then(() => {
+                    loader.subscribe(listener)
+                    const result = loader.update(
+                        (value: ?number) => (value || 0) + 1,
+                        Promise.resolve()
+                    )
+                    assert(listener.firstCall.args[0].value === 2)
+                    return result
+                })
+                .then((value: number) => {
+                    assert(value === 2)
+                    return loader.fetch()
+                })
+                .then((value: number) => {
+                    assert(value === 2)
+                })
+        })
+
+        it('should rollback value if confirmation fails', () => {
+            const loader = new Loader(createFetcher(() => Promise.resolve(1)))
+            const listener = spy()
+            const error = new Error('test')
+
+            return loader.fetch()
+                .then(() => {
+                    loader.subscribe(listener)
+                    return loader.set(2, Promise.reject(error))
+                })
+                .then(() => assert(false), (err: Error) => {
+                    assert(err === error)
+                    assert.deepEqual(listener.secondCall.args[0], {status: 'error', value: 1, error})
+                    return loader.fetch()
+                })
+                .then((value: number) => {
+                    assert(value === 1)
+                })
+        })
+
+        it('should not rollback newer value', () => {
+            const loader = new Loader(createFetcher(() => Promise.resolve(1)))
+            const result = loader.set(2, Promise.reject(new Error('test')))
+            loader.set(3)
+
+            return result
+                .then(() => assert(false), () => loader.fetch())
+                .then((value: number) => {
+                    assert(value === 3)
+                })
+        })
+    })
 })
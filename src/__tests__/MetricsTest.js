@@ -0,0 +1,84 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {
+    Fetcher,
+    Loader,
+    MetricsCollector,
+    checkStatus,
+    createSerializeParams,
+    decodeJson
+} from '../index'
+import {MockResponse, createMockFetch} from '../mockFetch'
+import type {MockRequest} from '../mockFetch'
+
+describe('MetricsTest', () => {
+    function createFetcher(metrics: MetricsCollector, statuses: number[]): Fetcher<*, *> {
+        return new Fetcher({
+            baseUrl: '/api',
+            url: '/user/:id',
+            fetchFn: () => Promise.resolve((new MockResponse('', {status: statuses.shift()}): any)),
+            postProcess: (r: Promise<Response>) => r.then(checkStatus),
+            serializeParams: createSerializeParams(),
+            hooks: metrics.hooks
+        })
+    }
+
+    it('should collect latency histogram and errors per route', () => {
+        const metrics = new MetricsCollector({buckets: [100, Infinity]})
+        const fetcher = createFetcher(metrics, [200, 404, 200, 204])
+        const fetch = (id: string) => fetcher.fetch({params: {id}}).catch(() => null)
+
+        return fetch('1')
+            .then(() => fetch('2'))
+            .then(() => fetch('3'))
+            .then(() => fetcher.fetch({method: 'DELETE', params: {id: '1'}}))
+            .then(() => {
+                const snapshot = metrics.snapshot()
+                assert.deepEqual(Object.keys(snapshot), ['GET /api/user/:id', 'DELETE /api/user/:id'])
+                const get = snapshot['GET /api/user/:id']
+                assert(get.count === 3)
+                assert(get.errors === 1)
+                assert(get.statuses['200'] === 2 && get.statuses['404'] === 1)
+                assert.deepEqual(get.histogram, [3, 0])
+                assert(get.min <= get.max)
+            })
+    })
+
+    it('should count conditional 304 as response', () => {
+        const metrics = new MetricsCollector()
+        const mock = createMockFetch().get('/api/user', (req: MockRequest) => (
+            req.headers['if-none-match'] === '"v1"'
+                ? {status: 304}
+                : {headers: {etag: '"v1"'}, body: {name: 'user'}}
+        ))
+        const loader = new Loader(new Fetcher({
+            baseUrl: '/api',
+            url: '/user',
+            fetchFn: mock.fetch,
+            postProcess: (r: Promise<Response>) => decodeJson(r.then(checkStatus)),
+            hooks: metrics.hooks
+        }), {conditional: true})
+
+        return loader.fetch()
+            .then(() => loader.reset().fetch())
+            .then(() => {
+                const get = metrics.snapshot()['GET /api/user']
+                assert(get.count === 2)
+                assert(get.errors === 0)
+                assert(get.statuses['200'] === 1 && get.statuses['304'] === 1)
+            })
+    })
+
+    it('should reset metrics', () => {
+        const metrics = new MetricsCollector()
+        return createFetcher(metrics, [200]).fetch({params: {id: '1'}})
+            .then(() => {
+                assert(metrics.snapshot()['GET /api/user/:id'].histogram.length === 8)
+                metrics.reset()
+                assert.deepEqual(metrics.snapshot(), {})
+            })
+    })
+})
@@ -0,0 +1,123 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import querystring from 'querystring'
+
+import {
+    Fetcher,
+    NotFoundError,
+    checkStatus,
+    createSerializeParams,
+    decodeJson
+} from '../index'
+import {createMockFetch} from '../mockFetch'
+import type {MockRequest} from '../mockFetch'
+
+describe('MockFetchTest', () => {
+    function createFetcher(fetchFn: Function): Fetcher<*, *> {
+        return new Fetcher({
+            baseUrl: '/api',
+            fetchFn,
+            serializeParams: createSerializeParams(querystring.stringify),
+            postProcess: (r: Promise<Response>) => decodeJson(r.then(checkStatus))
+        })
+    }
+
+    it('should match route with placeholders', () => {
+        const mock = createMockFetch()
+            .get('/api/user/:id', (req: MockRequest) => ({
+                body: {id: req.params.id}
+            }))
+
+        return createFetcher(mock.fetch)
+            .fetch({url: '/user/:id', params: {id: '1'}})
+            .then((result: Object) => {
+                assert.deepEqual(result, {id: '1'})
+                assert(mock.calls.length === 1)
+            })
+    })
+
+    it('should match method, query and body', () => {
+        const mock = createMockFetch()
+            .route({method: 'GET', url: '/api/user', query: {page: '2'}}, {body: ['page2']})
+            .route({method: 'POST', url: '/api/user', body: {name: 'test'}}, {
+                status: 201,
+                headers: {'X-Id': '1'},
+                body: {id: '1'}
+            })
+        const fetcher = createFetcher(mock.fetch)
+
+        return fetcher.fetch({url: '/user', params: {page: '2'}})
+            .then((result: string[]) => {
+                assert.deepEqual(result, ['page2'])
+                return mock.fetch('/api/user', {method: 'POST', body: '{"name":"test"}'})
+            })
+            .then((response: Response) => {
+                assert(response.status === 201)
+                assert(response.headers.get('x-id') === '1')
+                assert(response.headers.get('Content-Type') === 'application/json')
+                mock.assertAllCalled()
+            })
+    })
+
+    it('should return configured status', () => {
+        const mock = createMockFetch()
+            .get('/api/user/:id', {status: 404, body: 'Not found'})
+
+        return createFetcher(mock.fetch)
+            .fetch({url: '/user/1'})
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof NotFoundError)
+            })
+    })
+
+    it('should delay response', () => {
+        const mock = createMockFetch().get('/api/user', {body: 'ok', delay: 20})
+        const start = Date.now()
+
+        return mock.fetch('/api/user', {})
+            .then(() => {
+                assert(Date.now() - start >= 15)
+            })
+    })
+
+    it('should collect unmatched calls and assert on them', () => {
+        const mock = createMockFetch()
+            .get('/api/user/:id', {body: {}})
+            .get('/api/session', {body: {}})
+
+        return mock.fetch('/api/users', {method: 'GET'})
+            .then(() => assert(false), (err: Error) => {
+                assert(err.message === 'No mock route for GET /api/users')
+                assert.throws(() => mock.assertAllMatched(), /GET \/api\/users/)
+                assert.throws(
+                    () => mock.assertAllCalled(),
+                    /GET \/api\/user\/:id, GET \/api\/session/
+                )
+            })
+    })
+
+    it('should record exchanges and replay them offline', () => {
+        const fixtures = path.join(os.tmpdir(), `fetch-builder-fixtures-${process.pid}.json`)
+        const server = createMockFetch()
+            .get('/api/user/:id', (req: MockRequest) => ({body: {id: req.params.id}}))
+        const recorder = createMockFetch({mode: 'record', fetchFn: server.fetch, fixtures})
+
+        return createFetcher(recorder.fetch)
+            .fetch({url: '/user/1'})
+            .then(() => {
+                recorder.save()
+                const player = createMockFetch({mode: 'replay', fixtures})
+                fs.unlinkSync(fixtures)
+
+                return createFetcher(player.fetch).fetch({url: '/user/1'})
+            })
+            .then((result: Object) => {
+                assert.deepEqual(result, {id: '1'})
+            })
+    })
+})
@@ -0,0 +1,58 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {toFormData} from '../index'
+
+describe('MultipartTest', () => {
+    class FakeFormData {
+        items: [string, mixed][] = []
+
+        append(key: string, value: mixed) {
+            this.items.push([key, value])
+        }
+    }
+
+    function convert(value: Object, rec?: Object): [string, mixed][] {
+        const formData: any = new FakeFormData()
+        return (toFormData(value, rec, formData): any).items
+    }
+
+    const file: any = {}
+    file[(Symbol: any).toStringTag] = 'File'
+
+    it('should convert nested objects with brackets notation', () => {
+        const date = new Date(0)
+        assert.deepEqual(convert({
+            user: {name: 'test', avatar: file, age: 1, empty: null},
+            tags: ['a', 'b'],
+            created: date
+        }), [
+            ['user[name]', 'test'],
+            ['user[avatar]', file],
+            ['user[age]', '1'],
+            ['tags[0]', 'a'],
+            ['tags[1]', 'b'],
+            ['created', date.toISOString()]
+        ])
+    })
+
+    it('should support dots notation', () => {
+        assert.deepEqual(convert({user: {files: [file]}}, {notation: 'dots'}), [
+            ['user.files.0', file]
+        ])
+    })
+
+    it('should support array formats', () => {
+        const value = {files: [file, file]}
+        assert.deepEqual(convert(value, {arrayFormat: 'empty'}), [
+            ['files[]', file],
+            ['files[]', file]
+        ])
+        assert.deepEqual(convert(value, {arrayFormat: 'repeat'}), [
+            ['files', file],
+            ['files', file]
+        ])
+    })
+})
@@ -0,0 +1,115 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import {spy} from 'sinon'
+
+import {
+    Fetcher,
+    Mutation,
+    Repository,
+    checkStatus,
+    createSerializeParams,
+    decodeJson
+} from '../index'
+import {createMockFetch} from '../mockFetch'
+import type {MockRequest} from '../mockFetch'
+
+describe('MutationTest', () => {
+    function createMock() {
+        return createMockFetch()
+            .get('/api/user/:id', (req: MockRequest) => ({body: {id: req.params.id, name: 'old'}}))
+            .get('/api/users', {body: []})
+            .put('/api/user/:id', (req: MockRequest) => ({body: {id: req.params.id, name: 'new'}}))
+    }
+
+    function createFetcher(fetchFn: Function, rec: Object): Fetcher<*, *> {
+        return new Fetcher({
+            baseUrl: '/api',
+            fetchFn,
+            serializeParams: createSerializeParams(),
+            postProcess: (r: Promise<Response>) => decodeJson(r.then(checkStatus)),
+            ...rec
+        })
+    }
+
+    function setup() {
+        const mock = createMock()
+        const users = new Repository(createFetcher(mock.fetch, {url: '/user/:id'}))
+        const lists = new Repository(createFetcher(mock.fetch, {url: '/users'}))
+        const updateUser = createFetcher(mock.fetch, {url: '/user/:id', method: 'PUT'})
+
+        return {mock, users, lists, updateUser}
+    }
+
+    const rec = (id: string) => ({params: {id}})
+
+    it('should reset entries by params and all entries of repository', () => {
+        const {users, lists, updateUser} = setup()
+        const mutation = new Mutation(updateUser, [
+            {repository: users, params: (params: Object) => ({id: params.id})},
+            {repository: lists}
+        ])
+
+        return Promise.all([
+            users.fetch(rec('1')),
+            users.fetch(rec('2')),
+            lists.fetch({params: {page: '1'}})
+        ])
+            .then(() => mutation.mutate({params: {id: '1'}}))
+            .then((result: Object) => {
+                assert(result.name === 'new')
+                assert(users.status(rec('1')) === 'empty')
+                assert(users.status(rec('2')) === 'fresh')
+                assert(lists.status({params: {page: '1'}}) === 'empty')
+            })
+    })
+
+    it('should match entries by key prefix', () => {
+        const {users, updateUser} = setup()
+        const mutation = new Mutation(updateUser, [
+            {repository: users, prefix: (params: Object) => `id:${params.id}`}
+        ])
+
+        return Promise.all([users.fetch(rec('1')), users.fetch(rec('2'))])
+            .then(() => mutation.mutate({params: {id: '2'}}))
+            .then(() => {
+                assert(users.status(rec('1')) === 'fresh')
+                assert(users.status(rec('2')) === 'empty')
+            })
+    })
+
+    it('should write result into cache', () => {
+        const {mock, users, updateUser} = setup()
+        const update = spy((result: Object) => result)
+        const mutation = new Mutation(updateUser, [
+            {repository: users, params: (params: Object) => ({id: params.id}), update}
+        ])
+
+        return users.fetch(rec('1'))
+            .then(() => mutation.mutate({params: {id: '1'}}))
+            .then(() => mutation.mutate({params: {id: '3'}}))
+            .then(() => Promise.all([users.fetch(rec('1')), users.fetch(rec('3'))]))
+            .then((results: Object[]) => {
+                assert.deepEqual(results.map((user: Object) => user.name), ['new', 'new'])
+                assert(update.firstCall.args[1].name === 'old')
+                assert(update.secondCall.args[1] === null)
+                assert(mock.calls.filter((req: MockRequest) => req.method === 'GET').length === 1)
+            })
+    })
+
+    it('should not touch cache on failure', () => {
+        const {users} = setup()
+        const failing = createFetcher(createMockFetch().put('/api/user/:id', {status: 500}).fetch, {
+            url: '/user/:id',
+            method: 'PUT'
+        })
+        const mutation = new Mutation(failing, [{repository: users}])
+
+        return users.fetch(rec('1'))
+            .then(() => mutation.mutate({params: {id: '1'}}))
+            .then(() => assert(false), () => {
+                assert(users.status(rec('1')) === 'fresh')
+            })
+    })
+})
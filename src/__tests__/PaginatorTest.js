@@ -0,0 +1,174 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {
+    Fetcher,
+    Paginator,
+    checkStatus,
+    createSerializeParams,
+    cursorPagination,
+    decodeJson,
+    linkPagination,
+    offsetPagination
+} from '../index'
+import {createMockFetch} from '../mockFetch'
+import type {MockRequest} from '../mockFetch'
+
+describe('PaginatorTest', () => {
+    const allItems: number[] = [1, 2, 3, 4, 5]
+
+    function createFetcher(fetchFn: Function): Fetcher<*, *> {
+        return new Fetcher({
+            baseUrl: '/api',
+            url: '/items',
+            fetchFn,
+            params: {q: 'x'},
+            serializeParams: createSerializeParams(),
+            postProcess: (r: Promise<Response>) => decodeJson(r.then(checkStatus))
+        })
+    }
+
+    function offsetMock() {
+        return createMockFetch().get('/api/items', (req: MockRequest) => {
+            const page: number = Number(req.query.page)
+            const limit: number = Number(req.query.limit)
+            return {body: {q: req.query.q, items: allItems.slice((page - 1) * limit, page * limit)}}
+        })
+    }
+
+    it('should iterate over pages by offset strategy', () => {
+        const mock = offsetMock()
+        const paginator = new Paginator(createFetcher(mock.fetch), {
+            strategy: offsetPagination({limit: 2})
+        })
+
+        return paginator.fetchAll().then((pages: Object[]) => {
+            assert.deepEqual(pages.map((page: Object) => page.items), [[1, 2], [3, 4], [5]])
+            assert(pages[2].q === 'x')
+            assert(mock.calls.length === 3)
+            assert(mock.calls[1].url === '/api/items?q=x&page=2&limit=2')
+        })
+    })
+
+    it('should stop after maxPages', () => {
+        const mock = offsetMock()
+        const paginator = new Paginator(createFetcher(mock.fetch), {
+            strategy: offsetPagination({limit: 2})
+        })
+
+        return paginator.fetchAll({maxPages: 2}).then((pages: Object[]) => {
+            assert(pages.length === 2)
+            assert(mock.calls.length === 2)
+        })
+    })
+
+    it('should iterate over items', () => {
+        const paginator = new Paginator(createFetcher(offsetMock().fetch), {
+            strategy: offsetPagination({limit: 2})
+        })
+
+        return paginator.fetchAllItems().then((items: number[]) => {
+            assert.deepEqual(items, allItems)
+        })
+    })
+
+    it('should expose async iterator protocol', () => {
+        const paginator: Object = new Paginator(createFetcher(offsetMock().fetch), {
+            strategy: offsetPagination({limit: 3})
+        })
+        const key: any = (Symbol: any).asyncIterator || '@@asyncIterator'
+        const iterator = paginator[key]()
+
+        return iterator.next()
+            .then((step: Object) => {
+                assert(!step.done)
+                assert.deepEqual(step.value.items, [1, 2, 3])
+                return iterator.next()
+            })
+            .then((step: Object) => {
+                assert.deepEqual(step.value.items, [4, 5])
+                return iterator.next()
+            })
+            .then((step: Object) => {
+                assert(step.done)
+            })
+    })
+
+    it('should iterate by cursor', () => {
+        const mock = createMockFetch().get('/api/items', (req: MockRequest) => ({
+            body: req.query.cursor === 'b'
+                ? {items: [3]}
+                : {items: [1, 2], nextCursor: 'b'}
+        }))
+        const paginator = new Paginator(createFetcher(mock.fetch), {
+            strategy: cursorPagination()
+        })
+
+        return paginator.fetchAllItems().then((items: number[]) => {
+            assert.deepEqual(items, [1, 2, 3])
+            assert(mock.calls[1].query.cursor === 'b')
+        })
+    })
+
+    it('should iterate by link header', () => {
+        const mock = createMockFetch().get('/api/items', (req: MockRequest) => (
+            req.query.page === '2'
+                ? {body: [3]}
+                : {
+                    headers: {
+                        link: '<https://example.com/api/items?q=x&page=2>; rel="next",'
+                            + ' <https://example.com/api/items?q=x&page=2>; rel="last"'
+                    },
+                    body: [1, 2]
+                }
+        ))
+        const paginator = new Paginator(createFetcher(mock.fetch), {
+            strategy: linkPagination()
+        })
+
+        return paginator.fetchAllItems().then((items: number[]) => {
+            assert.deepEqual(items, [1, 2, 3])
+            assert(mock.calls.length === 2)
+            assert(mock.calls[1].url === '/api/items?q=x&page=2')
+        })
+    })
+
+    it('should keep padding of cursor in link header', () => {
+        const mock = createMockFetch().get('/api/items', (req: MockRequest) => (
+            req.query.cursor
+                ? {body: [3]}
+                : {
+                    headers: {link: '<https://example.com/api/items?cursor=YWJjZA==>; rel="next"'},
+                    body: [1, 2]
+                }
+        ))
+        const paginator = new Paginator(createFetcher(mock.fetch), {
+            strategy: linkPagination()
+        })
+
+        return paginator.fetchAllItems().then((items: number[]) => {
+            assert.deepEqual(items, [1, 2, 3])
+            assert(mock.calls[1].query.cursor === 'YWJjZA==')
+        })
+    })
+
+    it('should finish iteration after error', () => {
+        const mock = createMockFetch().get('/api/items', {status: 500})
+        const paginator = new Paginator(createFetcher(mock.fetch), {
+            strategy: offsetPagination()
+        })
+        const iterator = paginator.pages()
+
+        return iterator.next()
+            .then(() => assert(false), (error: Object) => {
+                assert(error.status === 500)
+                return iterator.next()
+            })
+            .then((step: Object) => {
+                assert(step.done)
+                assert(mock.calls.length === 1)
+            })
+    })
+})
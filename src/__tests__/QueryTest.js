@@ -0,0 +1,63 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+
+import {
+    Fetcher,
+    createSerializeParams,
+    createStringifyQuery,
+    stringifyQuery
+} from '../index'
+
+describe('QueryTest', () => {
+    describe('stringifyQuery', () => {
+        it('should encode values and keys', () => {
+            assert(stringifyQuery({'a b': 'x&y', c: 'ф'}) === 'a%20b=x%26y&c=%D1%84')
+        })
+
+        it('should keep falsy values and skip null values', () => {
+            assert(stringifyQuery({a: 0, b: '', c: false, d: null, e: undefined}) === 'a=0&b=&c=false')
+        })
+
+        it('should serialize null values if skipNull is false', () => {
+            const stringify = createStringifyQuery({skipNull: false})
+            assert(stringify({a: null, b: 1}) === 'a=&b=1')
+        })
+
+        it('should serialize arrays', () => {
+            const params = {a: [1, 2]}
+            assert(stringifyQuery(params) === 'a=1&a=2')
+            assert(createStringifyQuery({arrayFormat: 'brackets'})(params) === 'a[]=1&a[]=2')
+            assert(createStringifyQuery({arrayFormat: 'comma'})(params) === 'a=1,2')
+        })
+
+        it('should serialize nested objects', () => {
+            const params = {a: {b: 1, c: {d: 'x'}}, e: [{f: 1}]}
+            assert(stringifyQuery(params) === 'a[b]=1&a[c][d]=x&e[f]=1')
+        })
+
+        it('should sort keys', () => {
+            const stringify = createStringifyQuery({sort: true})
+            assert(stringify({b: 1, a: {d: 1, c: 2}}) === 'a[c]=2&a[d]=1&b=1')
+        })
+    })
+
+    describe('createSerializeParams', () => {
+        it('should use built-in stringify by default', () => {
+            const fetcher = new Fetcher({
+                baseUrl: '/api',
+                url: '/user/:id',
+                serializeParams: createSerializeParams(),
+                params: {id: 'a/b c', q: [1, 2]}
+            })
+            assert(fetcher.fullUrl === '/api/user/a%2Fb%20c?q=1&q=2')
+        })
+
+        it('should accept falsy placeholder values', () => {
+            const serialize: Function = createSerializeParams()
+            assert(serialize('/user/:id/:name', {id: 0, name: ''}) === '/user/0/')
+            assert.throws(() => serialize('/user/:id', {id: null}))
+        })
+    })
+})
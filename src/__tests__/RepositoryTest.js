@@ -0,0 +1,455 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import querystring from 'querystring'
+import {spy} from 'sinon'
+
+import {
+    AbortError,
+    Fetcher,
+    ItemNotFoundError,
+    Loader,
+    MemoryStorage,
+    Repository,
+    checkStatus,
+    createSerializeParams,
+    createStringifyQuery,
+    decodeJson
+} from '../index'
+import type {IFetcher, RepositorySnapshot} from '../index'
+import {createMockFetch} from '../mockFetch'
+import type {MockRequest} from '../mockFetch'
+
+describe('RepositoryTest', () => {
+    it('should cache loaders by params', () => {
+        const fakeFetch = spy(() => Promise.resolve('test'))
+        const repository = new Repository()
+        const rec = (id: string) => ({
+            fetchFn: fakeFetch,
+            serializeParams: createSerializeParams(querystring.stringify),
+            params: {id}
+        })
+
+        return repository.fetch(rec('1'))
+            .then(() => repository.fetch(rec('1')))
+            .then(() => repository.fetch(rec('2')))
+            .then(() => {
+                assert(fakeFetch.calledTwice)
+            })
+    })
+
+    it('should abort all in-flight requests on reset', () => {
+        const fakeFetch = spy(() => new Promise(() => {}))
+        const repository = new Repository()
+        const result = repository.fetch({fetchFn: fakeFetch})
+        repository.reset(null, true)
+
+        return result
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof AbortError)
+            })
+    })
+
+    it('should create seeded loader on first fetch without base fetcher', () => {
+        const fakeFetch = spy(() => Promise.resolve('client'))
+        const repository = new Repository()
+        const rec = (id: string) => ({
+            url: '/user/:id',
+            fetchFn: fakeFetch,
+            params: {id}
+        })
+        const snapshot = {entries: [{key: 'id:1', params: {id: '1'}, value: 'test', updated: Date.now()}]}
+        repository.hydrate(snapshot)
+        assert.deepEqual(repository.dehydrate(), snapshot)
+
+        return repository.fetch(rec('1'))
+            .then((result: string) => {
+                assert(result === 'test')
+                assert(fakeFetch.notCalled)
+                repository.reset(rec('1'))
+                return repository.fetch(rec('1'))
+            })
+            .then((result: string) => {
+                assert(result === 'client')
+                assert(fakeFetch.firstCall.args[0].indexOf('/user/1') !== -1)
+            })
+    })
+
+    describe('base fetcher', () => {
+        function createBase(fetchFn: Function): Fetcher<*, *> {
+            return new Fetcher({
+                baseUrl: '/api',
+                url: '/user/:id',
+                headers: {
+                    'Accept-Language': 'ru'
+                },
+                fetchFn,
+                serializeParams: createSerializeParams(querystring.stringify)
+            })
+        }
+
+        it('should copy base fetcher for each key', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const repository = new Repository(createBase(fakeFetch))
+
+            return repository.fetch({params: {id: '1', q: '2'}})
+                .then(() => repository.fetch({params: {id: '1', q: '2'}}))
+                .then(() => {
+                    assert(fakeFetch.calledOnce)
+                    assert(fakeFetch.firstCall.args[0] === '/api/user/1?q=2')
+                    assert.deepEqual(fakeFetch.firstCall.args[1].headers, {
+                        'Accept-Language': 'ru'
+                    })
+                })
+        })
+
+        it('should use custom getKey', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const repository = new Repository(createBase(fakeFetch), () => 'same')
+
+            return repository.fetch({params: {id: '1'}})
+                .then(() => repository.fetch({params: {id: '2'}}))
+                .then(() => {
+                    assert(fakeFetch.calledOnce)
+                })
+        })
+
+        it('should support legacy getKey only signature', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const repository = new Repository(() => 'same')
+
+            return repository.fetch({fetchFn: fakeFetch})
+                .then(() => repository.fetch({fetchFn: fakeFetch, url: '/other'}))
+                .then(() => {
+                    assert(fakeFetch.calledOnce)
+                })
+        })
+
+        it('should create loaders with custom factory', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            class UserLoader extends Loader<string> {}
+            const createLoader = spy((fetcher: IFetcher<string, *>) => new UserLoader(fetcher))
+            const repository = new Repository(createBase(fakeFetch), null, {createLoader})
+            const rec = {params: {id: '1'}}
+
+            return repository.fetch(rec)
+                .then(() => {
+                    assert(createLoader.calledOnce)
+                    assert(createLoader.firstCall.args[0].fullUrl === '/api/user/1')
+                    assert(createLoader.firstCall.args[1] === rec)
+                    assert(createLoader.firstCall.returnValue instanceof UserLoader)
+                })
+        })
+    })
+
+    describe('cache options', () => {
+        function createBase(fetchFn: Function): Fetcher<*, *> {
+            return new Fetcher({
+                url: '/user/:id',
+                fetchFn,
+                serializeParams: createSerializeParams(querystring.stringify)
+            })
+        }
+
+        it('should evict least recently used loaders', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const repository = new Repository(createBase(fakeFetch), null, {maxEntries: 2})
+            const rec = (id: string) => ({params: {id}})
+
+            return repository.fetch(rec('1'))
+                .then(() => repository.fetch(rec('2')))
+                .then(() => repository.fetch(rec('1')))
+                .then(() => repository.fetch(rec('3')))
+                .then(() => {
+                    assert(repository.status(rec('1')) === 'fresh')
+                    assert(repository.status(rec('2')) === 'empty')
+                    assert(repository.status(rec('3')) === 'fresh')
+                    return repository.fetch(rec('1'))
+                })
+                .then(() => {
+                    assert(fakeFetch.calledThrice)
+                })
+        })
+
+        it('should pass maxAge to loaders', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const repository = new Repository(createBase(fakeFetch), null, {maxAge: 0})
+            const rec = {params: {id: '1'}}
+
+            return repository.fetch(rec)
+                .then(() => {
+                    assert(repository.status(rec) === 'expired')
+                    return repository.fetch(rec)
+                })
+                .then(() => {
+                    assert(fakeFetch.calledTwice)
+                })
+        })
+    })
+
+    describe('batch', () => {
+        function createRepository(
+            mock: Object,
+            rec?: Object = {}
+        ): Repository<*> {
+            const fetcher = new Fetcher({
+                baseUrl: '/api',
+                url: '/users',
+                fetchFn: mock.fetch,
+                serializeParams: createSerializeParams(createStringifyQuery({arrayFormat: 'comma'})),
+                postProcess: (r: Promise<Response>) => decodeJson(r.then(checkStatus))
+            })
+
+            return new Repository(null, null, {batch: {fetcher, ...rec}})
+        }
+
+        function usersMock() {
+            return createMockFetch().get('/api/users', (req: MockRequest) => ({
+                body: req.query.ids
+                    .split(',')
+                    .filter((id: string) => id !== '404')
+                    .map((id: string) => ({id: Number(id), name: `user${id}`}))
+            }))
+        }
+
+        const rec = (id: string) => ({params: {id}})
+
+        it('should collect keys of one tick into one request', () => {
+            const mock = usersMock()
+            const repository = createRepository(mock)
+
+            return Promise.all([
+                repository.fetch(rec('1')),
+                repository.fetch(rec('2')),
+                repository.fetch(rec('3'))
+            ])
+                .then((users: Object[]) => {
+                    assert.deepEqual(users.map((user: Object) => user.name), ['user1', 'user2', 'user3'])
+                    assert(mock.calls.length === 1)
+                    assert(mock.calls[0].url === '/api/users?ids=1,2,3')
+                    return repository.fetch(rec('2'))
+                })
+                .then((user: Object) => {
+                    assert(user.name === 'user2')
+                    assert(mock.calls.length === 1)
+                })
+        })
+
+        it('should split batches by maxBatchSize', () => {
+            const mock = usersMock()
+            const repository = createRepository(mock, {maxBatchSize: 2})
+
+            return Promise.all(['1', '2', '3'].map((id: string) => repository.fetch(rec(id))))
+                .then(() => {
+                    assert.deepEqual(
+                        mock.calls.map((req: MockRequest) => req.query.ids),
+                        ['1,2', '3']
+                    )
+                })
+        })
+
+        it('should reject missing items individually', () => {
+            const repository = createRepository(usersMock())
+
+            return Promise.all([
+                repository.fetch(rec('1')),
+                repository.fetch(rec('404')).then(() => assert(false), (err: Error) => err)
+            ])
+                .then(([user, err]: [Object, Error]) => {
+                    assert(user.name === 'user1')
+                    assert(err instanceof ItemNotFoundError)
+                    assert(repository.status(rec('404')) === 'empty')
+                })
+        })
+
+        it('should reject missing items marked by null', () => {
+            const mock = createMockFetch().get('/api/users', {body: [{id: 1, name: 'user1'}, null]})
+            const repository = createRepository(mock)
+
+            return Promise.all([
+                repository.fetch(rec('1')),
+                repository.fetch(rec('2')).then(() => assert(false), (err: Error) => err)
+            ])
+                .then(([user, err]: [Object, Error]) => {
+                    assert(user.name === 'user1')
+                    assert(err instanceof ItemNotFoundError)
+                })
+        })
+
+        it('should reject all items if split fails', () => {
+            const repository = createRepository(usersMock(), {
+                split: () => {
+                    throw new Error('split')
+                }
+            })
+
+            return Promise.all(['1', '2'].map((id: string) => repository.fetch(rec(id))
+                .then(() => assert(false), (err: Error) => {
+                    assert(err.message === 'split')
+                })
+            ))
+        })
+
+        it('should resolve missing items if allowed', () => {
+            const repository = createRepository(usersMock(), {allowMissing: true})
+
+            return repository.fetch(rec('404')).then((user: mixed) => {
+                assert(user === undefined)
+            })
+        })
+
+        it('should refetch after reset and abort only reset keys', () => {
+            const mock = usersMock()
+            const repository = createRepository(mock)
+            const aborted = repository.fetch(rec('1'))
+            const other = repository.fetch(rec('2'))
+            repository.reset(rec('1'), true)
+
+            return Promise.all([
+                aborted.then(() => assert(false), (err: Error) => err),
+                other
+            ])
+                .then(([err, user]: [Error, Object]) => {
+                    assert(err instanceof AbortError)
+                    assert(user.name === 'user2')
+                    assert(mock.calls[0].url === '/api/users?ids=2')
+                    repository.reset()
+                    return repository.fetch(rec('2'))
+                })
+                .then(() => {
+                    assert(mock.calls.length === 2)
+                })
+        })
+
+        it('should collect keys within wait window', () => {
+            const mock = usersMock()
+            const repository = createRepository(mock, {wait: 10})
+            const first = repository.fetch(rec('1'))
+
+            return Promise.resolve()
+                .then(() => Promise.all([first, repository.fetch(rec('2'))]))
+                .then(() => {
+                    assert(mock.calls.length === 1)
+                    assert(mock.calls[0].query.ids === '1,2')
+                })
+        })
+    })
+
+    describe('dehydrate', () => {
+        function createBase(fetchFn: Function): Fetcher<*, *> {
+            return new Fetcher({
+                url: '/user/:id',
+                fetchFn,
+                serializeParams: createSerializeParams(querystring.stringify)
+            })
+        }
+
+        const rec = (id: string) => ({params: {id}})
+
+        it('should seed loaders from json snapshot', () => {
+            const serverFetch = spy(() => Promise.resolve('test'))
+            const server = new Repository(createBase(serverFetch))
+            const clientFetch = spy(() => Promise.resolve('client'))
+            const client = new Repository(createBase(clientFetch))
+            server.fetch(rec('2'))
+
+            return server.fetch(rec('1'))
+                .then(() => {
+                    const snapshot: RepositorySnapshot<*> = JSON.parse(
+                        JSON.stringify(server.dehydrate())
+                    )
+                    assert.deepEqual(
+                        snapshot.entries.map((entry: Object) => entry.params),
+                        [{id: '2'}, {id: '1'}]
+                    )
+                    client.hydrate(snapshot)
+                    assert(client.status(rec('1')) === 'fresh')
+                    return client.fetch(rec('1'))
+                })
+                .then((result: string) => {
+                    assert(result === 'test')
+                    assert(clientFetch.notCalled)
+                    client.reset(rec('1'))
+                    return client.fetch(rec('1'))
+                })
+                .then((result: string) => {
+                    assert(result === 'client')
+                    assert(clientFetch.firstCall.args[0].indexOf('/user/1') !== -1)
+                })
+        })
+
+        it('should skip pending entries', () => {
+            const repository = new Repository(createBase(() => new Promise(() => {})))
+            repository.fetch(rec('1'))
+
+            assert.deepEqual(repository.dehydrate(), {entries: []})
+        })
+
+        it('should persist and restore via storage', () => {
+            const storage = new MemoryStorage()
+            const source = new Repository(createBase(() => Promise.resolve('test')))
+            const fakeFetch = spy(() => Promise.resolve('other'))
+            const target = new Repository(createBase(fakeFetch))
+
+            return source.fetch(rec('1'))
+                .then(() => source.persist(storage, 'users'))
+                .then(() => target.restore(storage, 'users'))
+                .then(() => target.fetch(rec('1')))
+                .then((result: string) => {
+                    assert(result === 'test')
+                    assert(fakeFetch.notCalled)
+                })
+        })
+    })
+
+    describe('subscribe', () => {
+        function createBase(fetchFn: Function): Fetcher<*, *> {
+            return new Fetcher({
+                url: '/user/:id',
+                fetchFn,
+                serializeParams: createSerializeParams(querystring.stringify)
+            })
+        }
+
+        const rec = (id: string) => ({params: {id}})
+
+        it('should subscribe to key and write optimistically', () => {
+            const fakeFetch = spy(() => Promise.resolve('test'))
+            const repository = new Repository(createBase(fakeFetch))
+            const listener = spy()
+            repository.subscribe(rec('1'), listener)
+
+            return repository.fetch(rec('1'))
+                .then(() => repository.set(rec('1'), 'new'))
+                .then(() => repository.fetch(rec('1')))
+                .then((value: string) => {
+                    assert(value === 'new')
+                    assert.deepEqual(
+                        listener.args.map((args: Object[]) => args[0].status),
+                        ['loading', 'success', 'success']
+                    )
+                    assert(fakeFetch.calledOnce)
+                })
+        })
+
+        it('should not evict subscribed loaders', () => {
+            const repository = new Repository(createBase(() => Promise.resolve('test')), null, {
+                maxEntries: 1
+            })
+            repository.subscribe(rec('1'), () => {})
+
+            return repository.fetch(rec('1'))
+                .then(() => repository.fetch(rec('2')))
+                .then(() => {
+                    assert(repository.status(rec('1')) === 'fresh')
+                    assert(repository.status(rec('2')) === 'fresh')
+                    return repository.fetch(rec('3'))
+                })
+                .then(() => {
+                    assert(repository.status(rec('1')) === 'fresh')
+                    assert(repository.status(rec('2')) === 'empty')
+                })
+        })
+    })
+})
@@ -0,0 +1,156 @@
+// @flow
+/* eslint-env mocha */
+/* global AbortController */
+
+import assert from 'power-assert'
+
+import {AbortError, Fetcher, Loader, Scheduler, getOrigin} from '../index'
+
+describe('SchedulerTest', () => {
+    function createFetch() {
+        const pending: Array<{url: string, resolve: (r: Response) => void}> = []
+        const fetchFn = (url: string) => new Promise((resolve: (r: Response) => void) => {
+            pending.push({url, resolve})
+        })
+        const respond = () => {
+            const item = pending.shift()
+            item.resolve(({status: 200, url: item.url}: any))
+            return new Promise((resolve: () => void) => setTimeout(resolve, 0))
+        }
+
+        return {pending, fetchFn, respond}
+    }
+
+    it('should get origin of absolute url', () => {
+        assert(getOrigin('HTTPS://Api.test:8080/user?id=1') === 'https://api.test:8080')
+        assert(getOrigin('//Api.test/user') === '//api.test')
+        assert(getOrigin('/api/user') === '')
+    })
+
+    it('should limit concurrency and start queued requests by priority', () => {
+        const {pending, fetchFn, respond} = createFetch()
+        const scheduler = new Scheduler({concurrency: 1})
+        const base = new Fetcher({baseUrl: '/api', fetchFn}).copy({scheduler})
+        const urls = (): string[] => pending.map((item: {url: string}) => item.url)
+
+        base.copy({url: '/a'}).fetch()
+        base.copy({url: '/b'}).fetch()
+        base.copy({url: '/c', priority: 1}).fetch()
+        assert.deepEqual(urls(), ['/api/a'])
+        assert.deepEqual(scheduler.stats(), {active: 1, queued: 2})
+
+        return respond()
+            .then(() => {
+                assert.deepEqual(urls(), ['/api/c'])
+                return respond()
+            })
+            .then(() => {
+                assert.deepEqual(urls(), ['/api/b'])
+                return respond()
+            })
+            .then(() => {
+                assert.deepEqual(scheduler.stats(), {active: 0, queued: 0})
+            })
+    })
+
+    it('should limit concurrency per origin', () => {
+        const {pending, fetchFn} = createFetch()
+        const scheduler = new Scheduler({perOrigin: 1})
+        const a = new Fetcher({baseUrl: 'http://a.test', url: '/a', fetchFn, scheduler})
+        const b = new Fetcher({baseUrl: 'http://b.test', url: '/b', fetchFn, scheduler})
+
+        a.fetch()
+        a.fetch()
+        b.fetch()
+
+        assert.deepEqual(
+            pending.map((item: {url: string}) => item.url),
+            ['http://a.test/a', 'http://b.test/b']
+        )
+        assert(scheduler.stats().queued === 1)
+    })
+
+    it('should remove queued request of reset loader', () => {
+        const {pending, fetchFn, respond} = createFetch()
+        const scheduler = new Scheduler({concurrency: 1})
+        const base = new Fetcher({baseUrl: '/api', fetchFn, scheduler})
+        const loader = new Loader(base.copy({url: '/b'}))
+
+        base.copy({url: '/a'}).fetch()
+        const result = loader.fetch()
+        assert(scheduler.stats().queued === 1)
+        loader.reset(true)
+        assert(scheduler.stats().queued === 0)
+
+        return result
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof AbortError)
+                return respond()
+            })
+            .then(() => {
+                assert(pending.length === 0)
+            })
+    })
+
+    it('should remove queued request on plain reset and keep started one', () => {
+        const {pending, fetchFn, respond} = createFetch()
+        const scheduler = new Scheduler({concurrency: 1})
+        const base = new Fetcher({baseUrl: '/api', fetchFn, scheduler})
+        const started = new Loader(base.copy({url: '/a'}))
+        const queued = new Loader(base.copy({url: '/b'}))
+
+        const startedResult = started.fetch()
+        const queuedResult = queued.fetch()
+        queued.reset()
+        started.reset()
+        assert(scheduler.stats().queued === 0)
+
+        return queuedResult
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof AbortError)
+                return respond()
+            })
+            .then(() => startedResult)
+            .then((response: Object) => {
+                assert(response.url === '/api/a')
+                assert(pending.length === 0)
+            })
+    })
+
+    it('should remove queued deduped request on plain reset', () => {
+        const {pending, fetchFn, respond} = createFetch()
+        const scheduler = new Scheduler({concurrency: 1})
+        const base = new Fetcher({baseUrl: '/api', fetchFn, scheduler, dedupe: true})
+        const loader = new Loader(base.copy({url: '/b'}))
+
+        base.copy({url: '/a'}).fetch()
+        const result = loader.fetch()
+        assert(scheduler.stats().queued === 1)
+        loader.reset()
+        assert(scheduler.stats().queued === 0)
+
+        return result
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof AbortError)
+                return respond()
+            })
+            .then(() => {
+                assert(pending.length === 0)
+            })
+    })
+
+    it('should not queue aborted request', () => {
+        const controller = new AbortController()
+        controller.abort()
+        const fetcher = new Fetcher({
+            fetchFn: () => Promise.resolve(({status: 200}: any)),
+            scheduler: {concurrency: 1},
+            signal: controller.signal
+        })
+
+        return fetcher.fetch()
+            .then(() => assert(false), (err: Error) => {
+                assert(err instanceof AbortError)
+            })
+    })
+})
@@ -0,0 +1,132 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import {useFakeTimers} from 'sinon'
+
+import {BaseStorage, KeyValueStorage, MemoryStorage} from '../index'
+import type {StoredEntry} from '../index'
+
+describe('StorageTest', () => {
+    function createStore() {
+        const data: {[id: string]: string} = {}
+        return {
+            data,
+            getItem: (key: string): ?string => data[key],
+            setItem: (key: string, value: string) => {
+                data[key] = value
+            },
+            removeItem: (key: string) => {
+                delete data[key]
+            }
+        }
+    }
+
+    it('should store values in memory', () => {
+        const storage = new MemoryStorage()
+
+        return storage.set('a', {b: 1})
+            .then(() => storage.get('a'))
+            .then((value: mixed) => {
+                assert.deepEqual(value, {b: 1})
+                return storage.remove('a')
+            })
+            .then(() => storage.get('a'))
+            .then((value: mixed) => {
+                assert(value === undefined)
+            })
+    })
+
+    it('should version entries of custom entry store', () => {
+        const entries: {[id: string]: StoredEntry} = {}
+        const read = (key: string) => Promise.resolve(entries[key])
+        const write = (key: string, entry: StoredEntry) => {
+            entries[key] = entry
+            return Promise.resolve()
+        }
+        const remove = (key: string) => {
+            delete entries[key]
+            return Promise.resolve()
+        }
+
+        return new BaseStorage({read, write, remove}, {version: 1}).set('a', 'old')
+            .then(() => {
+                assert.deepEqual(entries.a, {version: 1, expiresAt: null, value: 'old'})
+                return new BaseStorage({read, write, remove}, {version: 2}).get('a')
+            })
+            .then((value: mixed) => {
+                assert(value === undefined)
+                assert(!entries.a)
+            })
+    })
+
+    it('should store json in key-value store with prefix', () => {
+        const store = createStore()
+        const storage = new KeyValueStorage({store, prefix: 'app:'})
+
+        return storage.set('a', [1, 2])
+            .then(() => {
+                assert.deepEqual(JSON.parse(store.data['app:a']).value, [1, 2])
+                return storage.get('a')
+            })
+            .then((value: mixed) => {
+                assert.deepEqual(value, [1, 2])
+            })
+    })
+
+    it('should drop entries of other version', () => {
+        const store = createStore()
+
+        return new KeyValueStorage({store, version: 1}).set('a', 'old')
+            .then(() => new KeyValueStorage({store, version: 2}).get('a'))
+            .then((value: mixed) => {
+                assert(value === undefined)
+                assert(store.data['fetch-builder:a'] === undefined)
+            })
+    })
+
+    it('should drop expired entries', () => {
+        const clock = useFakeTimers(1000)
+        const storage = new MemoryStorage({maxAge: 100})
+        const result = storage.set('a', 'value')
+            .then(() => {
+                clock.tick(50)
+                return storage.get('a')
+            })
+            .then((value: mixed) => {
+                assert(value === 'value')
+                clock.tick(50)
+                return storage.get('a')
+            })
+            .then((value: mixed) => {
+                assert(value === undefined)
+            })
+        const restore = () => clock.restore()
+        result.then(restore, restore)
+
+        return result
+    })
+
+    it('should reject, if store throws', () => {
+        const store = {
+            ...createStore(),
+            setItem: () => {
+                throw new Error('QuotaExceededError')
+            }
+        }
+        const result = new KeyValueStorage({store}).set('a', 'value')
+
+        return result.then(() => assert(false), (err: Error) => {
+            assert(err.message === 'QuotaExceededError')
+        })
+    })
+
+    it('should ignore malformed json', () => {
+        const store = createStore()
+        store.setItem('fetch-builder:a', '{')
+
+        return new KeyValueStorage({store}).get('a').then((value: mixed) => {
+            assert(value === undefined)
+        })
+    })
+})
@@ -0,0 +1,97 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import {spy} from 'sinon'
+
+import {
+    Fetcher,
+    ValidationError,
+    createValidator
+} from '../index'
+
+const userSchema = {
+    type: 'object',
+    required: ['id', 'name'],
+    additionalProperties: false,
+    properties: {
+        id: {type: 'integer', minimum: 1},
+        name: {type: 'string', minLength: 1},
+        tags: {type: 'array', items: {type: 'string'}},
+        role: {enum: ['admin', 'user']}
+    }
+}
+
+describe('ValidateTest', () => {
+    describe('createValidator', () => {
+        it('should pass valid value', () => {
+            const validate = createValidator(userSchema)
+            assert.deepEqual(validate({id: 1, name: 'test', tags: ['a'], role: 'admin'}), [])
+        })
+
+        it('should collect failing paths', () => {
+            const validate = createValidator(userSchema)
+            const issues = validate({id: 1.5, tags: ['a', 2], role: 'guest', extra: true})
+
+            assert.deepEqual(issues.map((issue: {path: string}) => issue.path), [
+                '$.name',
+                '$.id',
+                '$.tags[1]',
+                '$.role',
+                '$.extra'
+            ])
+        })
+
+        it('should support validator function', () => {
+            const validate = createValidator((value: mixed): boolean => value === 'ok')
+            assert.deepEqual(validate('ok'), [])
+            assert.deepEqual(validate('fail'), [{path: '$', message: 'is invalid'}])
+        })
+    })
+
+    describe('Fetcher validate', () => {
+        function createFetcher(result: mixed): Fetcher<*, *> {
+            return new Fetcher({
+                baseUrl: '/api',
+                url: '/user',
+                method: 'GET',
+                fetchFn: () => Promise.resolve((result: any)),
+                validate: userSchema
+            })
+        }
+
+        it('should reject invalid result with ValidationError', () => {
+            return createFetcher({id: 1})
+                .fetch()
+                .then(() => assert(false), (err: ValidationError) => {
+                    assert(err instanceof ValidationError)
+                    assert(err.url === '/api/user')
+                    assert(err.method === 'GET')
+                    assert.deepEqual(err.issues, [{path: '$.name', message: 'is required'}])
+                })
+        })
+
+        it('should inherit validate in copy', () => {
+            return createFetcher({id: 1})
+                .copy({url: '/user/1'})
+                .fetch()
+                .then(() => assert(false), (err: ValidationError) => {
+                    assert(err instanceof ValidationError)
+                    assert(err.url === '/api/user/1')
+                })
+        })
+
+        it('should pass invalid result in warn mode', () => {
+            const onValidationWarning = spy()
+
+            return createFetcher({id: 1})
+                .copy({validateMode: 'warn', onValidationWarning})
+                .fetch()
+                .then((result: Object) => {
+                    assert.deepEqual(result, {id: 1})
+                    assert(onValidationWarning.calledOnce)
+                    assert(onValidationWarning.firstCall.args[0] instanceof ValidationError)
+                })
+        })
+    })
+})
@@ -0,0 +1,236 @@
+/* @flow */
+import {HttpError} from './errors'
+import type {IFetcher, Middleware, Next} from './index'
+
+export type Token = {
+    accessToken: string;
+    refreshToken?: ?string;
+
+    /**
+     * Expiration timestamp in ms. Default - never expires.
+     */
+    expiresAt?: ?number;
+}
+
+/**
+ * Pluggable token storage and refresh api.
+ */
+export type TokenSource = {
+    /**
+     * Initial token, null if not logged in.
+     */
+    getToken(): Promise<?Token>;
+
+    /**
+     * Get new token by current token.
+     */
+    refresh(token: ?Token): Promise<Token>;
+}
+
+export type AuthRec = {
+    source: TokenSource;
+
+    /**
+     * Refresh token proactively, if it expires within this time in ms. Default 30000.
+     */
+    refreshBefore?: number;
+
+    /**
+     * Default Authorization.
+     */
+    header?: string;
+
+    /**
+     * Default Bearer.
+     */
+    scheme?: string;
+}
+
+/**
+ * refresh - token refreshed, logout - token refresh failed or logout called.
+ */
+export type AuthEvent = 'refresh' | 'logout'
+
+export type AuthListener = (error: ?Error) => void
+
+function isUnauthorized(error: mixed): boolean {
+    return error instanceof HttpError && error.status === 401
+}
+
+/**
+ * Attaches token to requests, refreshes it before expiry and on 401 response.
+ *
+ * Concurrent requests share one refresh.
+ * Request, rejected with 401, is replayed once with new token.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const auth = new AuthManager({source: tokenSource})
+ * auth.on('logout', () => router.go('/login'))
+ * const apiFetcher = baseFetcher.copy({middlewares: [auth.middleware]})
+ * ```
+ */
+export class AuthManager {
+    _source: TokenSource
+    _refreshBefore: number
+    _header: string
+    _scheme: string
+    _token: ?Token = null
+    _loaded: boolean = false
+    _refreshing: ?Promise<Token> = null
+    _listeners: {[event: AuthEvent]: AuthListener[]} = {refresh: [], logout: []}
+
+    constructor(rec: AuthRec) {
+        this._source = rec.source
+        this._refreshBefore = rec.refreshBefore === undefined ? 30000 : rec.refreshBefore
+        this._header = rec.header || 'Authorization'
+        this._scheme = rec.scheme === undefined ? 'Bearer' : rec.scheme
+    }
+
+    /**
+     * Subscribe to auth event, returns unsubscribe function.
+     */
+    on(event: AuthEvent, listener: AuthListener): () => void {
+        this._listeners[event].push(listener)
+
+        return () => {
+            this._listeners[event] = this._listeners[event]
+                .filter((item: AuthListener) => item !== listener)
+        }
+    }
+
+    _emit(event: AuthEvent, error?: ?Error): void {
+        const listeners: AuthListener[] = this._listeners[event].slice()
+        for (let i = 0, l = listeners.length; i < l; i++) {
+            listeners[i](error)
+        }
+    }
+
+    /**
+     * Current token, without expiration check.
+     */
+    getToken(): Promise<?Token> {
+        if (this._refreshing) {
+            return this._refreshing
+        }
+        if (this._loaded) {
+            return Promise.resolve(this._token)
+        }
+
+        return this._source.getToken().then((token: ?Token) => {
+            if (!this._loaded) {
+                this._token = token
+                this._loaded = true
+            }
+            return this._token
+        })
+    }
+
+    /**
+     * Set token after login.
+     */
+    setToken(token: ?Token): AuthManager {
+        this._token = token
+        this._loaded = true
+        this._refreshing = null
+        return this
+    }
+
+    /**
+     * Drop token and emit logout.
+     */
+    logout(error?: ?Error): AuthManager {
+        this.setToken(null)
+        this._emit('logout', error)
+        return this
+    }
+
+    /**
+     * Refresh token, concurrent calls share one refresh.
+     */
+    refresh(): Promise<Token> {
+        if (this._refreshing) {
+            return this._refreshing
+        }
+        const refreshing: Promise<Token> = this._source.refresh(this._token)
+            .then(
+                (token: Token) => {
+                    if (this._refreshing === refreshing) {
+                        this._refreshing = null
+                        this._token = token
+                        this._loaded = true
+                        this._emit('refresh')
+                    }
+                    return token
+                },
+                (error: Error) => {
+                    if (this._refreshing === refreshing) {
+                        this.logout(error)
+                    }
+                    throw error
+                }
+            )
+        this._refreshing = refreshing
+
+        return refreshing
+    }
+
+    _getFreshToken(): Promise<?Token> {
+        return this.getToken().then((token: ?Token) => {
+            const expiresAt: ?number = token ? token.expiresAt : null
+            return expiresAt && Date.now() >= expiresAt - this._refreshBefore
+                ? this.refresh()
+                : token
+        })
+    }
+
+    _authorize(req: IFetcher<*, *>, token: ?Token): IFetcher<*, *> {
+        return token
+            ? req.copy({
+                setHeaders: true,
+                headers: {
+                    [this._header]: this._scheme
+                        ? `${this._scheme} ${token.accessToken}`
+                        : token.accessToken
+                }
+            })
+            : req
+    }
+
+    _refreshAfter(used: Token): Promise<?Token> {
+        const current: ?Token = this._token
+        // Token is already refreshed by concurrent request
+        return current && current.accessToken !== used.accessToken
+            ? Promise.resolve(current)
+            : this.refresh()
+    }
+
+    /**
+     * Middleware, add it to fetcher middlewares.
+     *
+     * If refresh after 401 fails, original 401 response is passed to postProcess.
+     */
+    middleware: Middleware = (req: IFetcher<*, *>, next: Next): Promise<Response> => this
+        ._getFreshToken()
+        .then((token: ?Token) => {
+            const replay = (used: Token, fallback: () => Response): Promise<Response> => this
+                ._refreshAfter(used)
+                .then((fresh: ?Token) => next(this._authorize(req, fresh)), fallback)
+
+            return next(this._authorize(req, token)).then(
+                (response: Response) => (token && response.status === 401
+                    ? replay(token, () => response)
+                    : response
+                ),
+                (error: Error) => {
+                    if (!token || !isUnauthorized(error)) {
+                        throw error
+                    }
+                    return replay(token, () => {
+                        throw error
+                    })
+                }
+            )
+        })
+}
@@ -0,0 +1,234 @@
+/* @flow */
+import {AbortError, ItemNotFoundError} from './errors'
+import type {FetcherRec, IFetcher} from './index'
+
+/**
+ * Split batch result to items by id.
+ */
+export type SplitBatch = (result: any, getItemId: (item: any) => string) => {[id: string]: any}
+
+export type BatchRec = {
+    /**
+     * Fetcher of many items, for example /users.
+     */
+    fetcher: IFetcher<any, *>;
+
+    /**
+     * Item id param name in Repository.fetch params. Default id.
+     */
+    param?: string;
+
+    /**
+     * Batch fetcher param name, receives array of ids. Default ids.
+     *
+     * Use createStringifyQuery({arrayFormat: 'comma'}) serializer for ?ids=1,2,3
+     */
+    batchParam?: string;
+
+    /**
+     * Default - item[param].
+     */
+    getItemId?: (item: any) => string;
+
+    /**
+     * Default - array of items or object with items by id.
+     */
+    split?: SplitBatch;
+
+    /**
+     * Max ids in one batch request. Default Infinity.
+     */
+    maxBatchSize?: number;
+
+    /**
+     * Ids collecting window in ms. Default - current tick.
+     */
+    wait?: number;
+
+    /**
+     * If true - missing item resolves with undefined, else rejects with ItemNotFoundError.
+     */
+    allowMissing?: boolean;
+}
+
+type BatchEntry = {
+    id: string;
+    resolve: (value: any) => void;
+    reject: (error: Error) => void;
+    done: boolean;
+
+    /**
+     * Entries of dispatched batch request and its controller.
+     */
+    batch: ?BatchEntry[];
+    controller: ?AbortController;
+}
+
+function defaultSplit(result: any, getItemId: (item: any) => string): {[id: string]: any} {
+    if (!Array.isArray(result)) {
+        return result || {}
+    }
+    const items: {[id: string]: any} = {}
+    for (let i = 0, l = result.length; i < l; i++) {
+        // null item marks missing id
+        if (result[i] !== null && result[i] !== undefined) {
+            items[getItemId(result[i])] = result[i]
+        }
+    }
+
+    return items
+}
+
+/**
+ * Collects ids, requested within one tick or wait window, into one batch request.
+ *
+ * Each id receives own item from batch result.
+ * Batch request is aborted, when all its ids are aborted.
+ */
+export class Batcher {
+    _fetcher: IFetcher<any, *>
+    _param: string
+    _batchParam: string
+    _getItemId: (item: any) => string
+    _split: SplitBatch
+    _maxBatchSize: number
+    _wait: number
+    _allowMissing: boolean
+    _queue: BatchEntry[] = []
+    _scheduled: boolean = false
+
+    constructor(rec: BatchRec) {
+        const param: string = rec.param || 'id'
+        this._fetcher = rec.fetcher
+        this._param = param
+        this._batchParam = rec.batchParam || 'ids'
+        this._getItemId = rec.getItemId || ((item: any) => String(item[param]))
+        this._split = rec.split || defaultSplit
+        this._maxBatchSize = rec.maxBatchSize || Infinity
+        this._wait = rec.wait || 0
+        this._allowMissing = rec.allowMissing || false
+    }
+
+    /**
+     * Get item id from Repository.fetch params.
+     */
+    getId(rec: FetcherRec<*>): string {
+        const params: Object = rec.params || {}
+        return String(params[this._param])
+    }
+
+    load(id: string, signal?: ?AbortSignal): Promise<any> {
+        return new Promise((resolve: (value: any) => void, reject: (error: Error) => void) => {
+            if (signal && signal.aborted) {
+                reject(new AbortError())
+                return
+            }
+            const entry: BatchEntry = {
+                id,
+                resolve,
+                reject,
+                done: false,
+                batch: null,
+                controller: null
+            }
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (entry.done) {
+                        return
+                    }
+                    entry.done = true
+                    reject(new AbortError())
+                    const controller: ?AbortController = entry.controller
+                    if (
+                        controller
+                        && entry.batch
+                        && entry.batch.every((item: BatchEntry) => item.done)
+                    ) {
+                        controller.abort()
+                    }
+                })
+            }
+            this._queue.push(entry)
+            this._schedule()
+        })
+    }
+
+    _schedule(): void {
+        if (this._scheduled) {
+            return
+        }
+        this._scheduled = true
+        if (this._wait > 0) {
+            setTimeout(this._flush, this._wait)
+        } else {
+            Promise.resolve().then(this._flush)
+        }
+    }
+
+    _flush = (): void => {
+        this._scheduled = false
+        const queue: BatchEntry[] = this._queue.filter((entry: BatchEntry) => !entry.done)
+        this._queue = []
+        let entries: BatchEntry[] = []
+        let ids: string[] = []
+        for (let i = 0, l = queue.length; i < l; i++) {
+            const entry: BatchEntry = queue[i]
+            if (ids.indexOf(entry.id) === -1) {
+                if (ids.length >= this._maxBatchSize) {
+                    this._dispatch(entries, ids)
+                    entries = []
+                    ids = []
+                }
+                ids.push(entry.id)
+            }
+            entries.push(entry)
+        }
+        if (entries.length) {
+            this._dispatch(entries, ids)
+        }
+    }
+
+    _dispatch(entries: BatchEntry[], ids: string[]): void {
+        const controller: ?AbortController = typeof AbortController === 'function'
+            ? new AbortController()
+            : null
+        for (let i = 0, l = entries.length; i < l; i++) {
+            const entry: BatchEntry = entries[i]
+            entry.batch = entries
+            entry.controller = controller
+        }
+        const rec: FetcherRec<*> = {params: {[this._batchParam]: ids}}
+        if (controller) {
+            rec.signal = controller.signal
+        }
+
+        this._fetcher.fetch(rec)
+            .then((result: any) => this._split(result, this._getItemId))
+            .then(
+                (items: {[id: string]: any}) => {
+                    for (let i = 0, l = entries.length; i < l; i++) {
+                        const entry: BatchEntry = entries[i]
+                        if (!entry.done) {
+                            entry.done = true
+                            if (Object.prototype.hasOwnProperty.call(items, entry.id)
+                                || this._allowMissing
+                            ) {
+                                entry.resolve(items[entry.id])
+                            } else {
+                                entry.reject(new ItemNotFoundError(entry.id))
+                            }
+                        }
+                    }
+                },
+                (error: Error) => {
+                    for (let i = 0, l = entries.length; i < l; i++) {
+                        const entry: BatchEntry = entries[i]
+                        if (!entry.done) {
+                            entry.done = true
+                            entry.reject(error)
+                        }
+                    }
+                }
+            )
+    }
+}
@@ -0,0 +1,30 @@
+/* @flow */
+
+export type CacheControl = {
+    noStore: boolean;
+    noCache: boolean;
+    maxAge: ?number;
+}
+
+/**
+ * Parse Cache-Control header directives, max-age in ms.
+ */
+export function parseCacheControl(header: ?string): CacheControl {
+    const result: CacheControl = {noStore: false, noCache: false, maxAge: null}
+    const directives: string[] = header ? header.toLowerCase().split(',') : []
+    for (let i = 0, l = directives.length; i < l; i++) {
+        const [name, value] = directives[i].trim().split('=')
+        if (name === 'no-store') {
+            result.noStore = true
+        } else if (name === 'no-cache') {
+            result.noCache = true
+        } else if (name === 'max-age' && value) {
+            const maxAge: number = parseInt(value.replace(/"/g, ''), 10)
+            if (!isNaN(maxAge)) {
+                result.maxAge = maxAge * 1000
+            }
+        }
+    }
+
+    return result
+}
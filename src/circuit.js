@@ -0,0 +1,261 @@
+/* @flow */
+import {AbortError, CircuitOpenError} from './errors'
+import {getOrigin} from './scheduler'
+import type {IFetcher} from './index'
+
+export type CircuitState = 'closed' | 'open' | 'half-open'
+
+/**
+ * Circuit key getter, default - origin of fullUrl.
+ */
+export type CircuitKey = (req: IFetcher<*, *>) => string
+
+/**
+ * Request outcome, which counts as failure. Default - network error, timeout or 5xx status.
+ */
+export type IsFailure = (response: ?Response, error: ?Error) => boolean
+
+export type CircuitEvent = {
+    key: string;
+    state: CircuitState;
+    previous: CircuitState;
+}
+
+export type CircuitListener = (event: CircuitEvent) => void
+
+export type CircuitRec = {
+    key?: ?CircuitKey;
+    isFailure?: ?IsFailure;
+
+    /**
+     * Failures within window, which open circuit. Default 5.
+     */
+    failures?: ?number;
+
+    /**
+     * Failure rate from 0 to 1 within window, which opens circuit. Default - not used.
+     */
+    failureRate?: ?number;
+
+    /**
+     * Min requests within window to apply failureRate. Default 10.
+     */
+    minRequests?: ?number;
+
+    /**
+     * Window in ms. Default 60000.
+     */
+    window?: ?number;
+
+    /**
+     * Time in ms, after which open circuit becomes half-open and lets one trial request.
+     * Checked lazily on next request or state call. Default 30000.
+     */
+    cooldown?: ?number;
+}
+
+type Outcome = {
+    time: number;
+    failed: boolean;
+}
+
+class Circuit {
+    state: CircuitState = 'closed'
+    outcomes: Outcome[] = []
+    openedAt: number = 0
+    trial: boolean = false
+
+    /**
+     * Set new state, returns previous one.
+     */
+    setState(state: CircuitState): CircuitState {
+        const previous: CircuitState = this.state
+        this.state = state
+        this.trial = false
+        if (state === 'open') {
+            this.openedAt = Date.now()
+        } else {
+            this.outcomes = []
+        }
+
+        return previous
+    }
+
+    /**
+     * Forget outcomes before time, returns failed outcomes count.
+     */
+    prune(since: number): number {
+        this.outcomes = this.outcomes.filter((item: Outcome) => item.time > since)
+
+        return this.outcomes.filter((item: Outcome) => item.failed).length
+    }
+}
+
+function defaultKey(req: IFetcher<*, *>): string {
+    return getOrigin(req.fullUrl)
+}
+
+function defaultIsFailure(response: ?Response, error: ?Error): boolean {
+    if (error) {
+        return !(error instanceof AbortError) && error.name !== 'AbortError'
+    }
+
+    return !!response && response.status >= 500
+}
+
+/**
+ * Rejects requests with CircuitOpenError, while backend of request key is unhealthy.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const breaker = new CircuitBreaker({failures: 5, window: 10000, cooldown: 30000})
+ * breaker.on((event: CircuitEvent) => showUnavailable(event.key, event.state === 'open'))
+ * const apiFetcher = baseFetcher.copy({circuitBreaker: breaker})
+ * ```
+ */
+export class CircuitBreaker {
+    _getKey: CircuitKey
+    _isFailure: IsFailure
+    _failures: number
+    _failureRate: ?number
+    _minRequests: number
+    _window: number
+    _cooldown: number
+    _circuits: Map<string, Circuit> = new Map()
+    _listeners: CircuitListener[] = []
+
+    constructor(rec?: CircuitRec = {}) {
+        this._getKey = rec.key || defaultKey
+        this._isFailure = rec.isFailure || defaultIsFailure
+        this._failures = rec.failures || 5
+        this._failureRate = rec.failureRate || null
+        this._minRequests = rec.minRequests || 10
+        this._window = rec.window || 60000
+        this._cooldown = rec.cooldown || 30000
+    }
+
+    /**
+     * Listen circuit state changes, returns unsubscribe function.
+     */
+    on(listener: CircuitListener): () => void {
+        this._listeners.push(listener)
+
+        return () => {
+            this._listeners = this._listeners.filter((item: CircuitListener) => item !== listener)
+        }
+    }
+
+    /**
+     * Current state of circuit, open circuit becomes half-open after cooldown.
+     */
+    state(key: string): CircuitState {
+        const circuit: ?Circuit = this._circuits.get(key)
+        if (!circuit) {
+            return 'closed'
+        }
+        if (circuit.state === 'open' && Date.now() >= circuit.openedAt + this._cooldown) {
+            this._setState(key, circuit, 'half-open')
+        }
+
+        return circuit.state
+    }
+
+    /**
+     * Close circuit and forget its outcomes. Without key - all circuits.
+     */
+    reset(key?: string): void {
+        const keys: string[] = key ? [key] : Array.from(this._circuits.keys())
+        for (let i = 0, l = keys.length; i < l; i++) {
+            const circuit: ?Circuit = this._circuits.get(keys[i])
+            if (circuit) {
+                this._circuits.delete(keys[i])
+                this._setState(keys[i], circuit, 'closed')
+            }
+        }
+    }
+
+    _setState(key: string, circuit: Circuit, state: CircuitState): void {
+        if (circuit.state === state) {
+            return
+        }
+        const previous: CircuitState = circuit.setState(state)
+        const listeners: CircuitListener[] = this._listeners.slice()
+        for (let i = 0, l = listeners.length; i < l; i++) {
+            listeners[i]({key, state, previous})
+        }
+    }
+
+    _getCircuit(key: string): Circuit {
+        let circuit: ?Circuit = this._circuits.get(key)
+        if (!circuit) {
+            circuit = new Circuit()
+            this._circuits.set(key, circuit)
+        }
+
+        return circuit
+    }
+
+    _shouldOpen(circuit: Circuit): boolean {
+        const failed: number = circuit.prune(Date.now() - this._window)
+        if (failed >= this._failures) {
+            return true
+        }
+        const rate: ?number = this._failureRate
+        const total: number = circuit.outcomes.length
+
+        return !!rate && total >= this._minRequests && failed / total >= rate
+    }
+
+    _record(key: string, circuit: Circuit, failed: boolean): void {
+        if (this._circuits.get(key) !== circuit) {
+            return
+        }
+        if (circuit.state === 'half-open') {
+            this._setState(key, circuit, failed ? 'open' : 'closed')
+            return
+        }
+        if (circuit.state !== 'closed') {
+            return
+        }
+        circuit.outcomes.push({time: Date.now(), failed})
+        if (failed && this._shouldOpen(circuit)) {
+            this._setState(key, circuit, 'open')
+        }
+    }
+
+    /**
+     * Call send, if circuit of request key is closed or half-open without trial in progress.
+     */
+    run(
+        req: IFetcher<*, *>,
+        send: (req: IFetcher<*, *>) => Promise<Response>
+    ): Promise<Response> {
+        const key: string = this._getKey(req)
+        const state: CircuitState = this.state(key)
+        const circuit: Circuit = this._getCircuit(key)
+        if (state === 'open' || (state === 'half-open' && circuit.trial)) {
+            return Promise.reject(
+                new CircuitOpenError(key, req.fullUrl, circuit.openedAt + this._cooldown)
+            )
+        }
+        if (state === 'half-open') {
+            circuit.trial = true
+        }
+
+        return send(req).then(
+            (response: Response) => {
+                this._record(key, circuit, this._isFailure(response, null))
+                return response
+            },
+            (error: Error) => {
+                if (this._isFailure(null, error)) {
+                    this._record(key, circuit, true)
+                } else if (circuit.state === 'half-open') {
+                    circuit.trial = false
+                }
+                throw error
+            }
+        )
+    }
+}
@@ -0,0 +1,95 @@
+/* @flow */
+/* eslint-env browser */
+import {headersToObject} from './headers'
+import {isBlob} from './multipart'
+import type {StrDict} from './index'
+
+/**
+ * Serializable description of request.
+ */
+export type RequestJSON = {
+    method: string;
+    url: string;
+
+    /**
+     * Lowercased header names.
+     */
+    headers: StrDict;
+
+    /**
+     * Null if body is empty or not a string, URLSearchParams.
+     */
+    body: ?string;
+}
+
+const toString = Object.prototype.toString
+
+function bodyToString(body: mixed): ?string {
+    if (typeof body === 'string') {
+        return body
+    }
+    if (body && toString.call(body) === '[object URLSearchParams]') {
+        return String(body)
+    }
+
+    return null
+}
+
+export function requestToJSON(url: string, options: RequestOptions): RequestJSON {
+    return {
+        method: (options.method || 'GET').toUpperCase(),
+        url,
+        headers: headersToObject(options.headers),
+        body: bodyToString(options.body)
+    }
+}
+
+/**
+ * Quote string as single shell argument.
+ */
+export function shellQuote(value: string): string {
+    return `'${value.replace(/'/g, '\'\\\'\'')}'`
+}
+
+function formDataToCurl(formData: Object): string[] {
+    const args: string[] = []
+    if (typeof formData.forEach !== 'function') {
+        return args
+    }
+    formData.forEach((value: mixed, name: string) => {
+        if (isBlob(value)) {
+            const fileName: string = (value: any).name || 'blob'
+            args.push('-F', shellQuote(`${name}=@${fileName}`))
+        } else {
+            args.push('--form-string', shellQuote(`${name}=${String(value)}`))
+        }
+    })
+
+    return args
+}
+
+/**
+ * Copy-pasteable curl command, Blob file names are placeholders of local files.
+ */
+export function requestToCurl(url: string, options: RequestOptions): string {
+    const json: RequestJSON = requestToJSON(url, options)
+    const args: string[] = ['curl']
+    if (json.method === 'HEAD') {
+        args.push('--head')
+    } else if (json.method !== 'GET') {
+        args.push('-X', json.method)
+    }
+    args.push(shellQuote(json.url))
+    const names: string[] = Object.keys(json.headers)
+    for (let i = 0, l = names.length; i < l; i++) {
+        args.push('-H', shellQuote(`${names[i]}: ${json.headers[names[i]]}`))
+    }
+    const body: mixed = options.body
+    if (json.body !== null && json.body !== undefined) {
+        args.push('--data-raw', shellQuote(json.body))
+    } else if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        args.push(...formDataToCurl((body: any)))
+    }
+
+    return args.join(' ')
+}
@@ -0,0 +1,88 @@
+/* @flow */
+import {ParseError, jsonContentTypeRegExp} from './errors'
+
+const SNIPPET_LENGTH = 200
+
+const textContentTypeRegExp: RegExp = /^text\/|[/+]xml\b|\/javascript\b|\/x-www-form-urlencoded\b/i
+
+function getContentType(response: Response): string {
+    return (response.headers && response.headers.get('Content-Type')) || ''
+}
+
+/**
+ * Is response has no body: 204, 205, 304 statuses or zero Content-Length.
+ */
+function isEmpty(response: Response): boolean {
+    return response.status === 204
+        || response.status === 205
+        || response.status === 304
+        || (!!response.headers && response.headers.get('Content-Length') === '0')
+}
+
+function parseJson(response: Response): Promise<any> {
+    return response.text().then((text: string) => {
+        if (!text) {
+            return null
+        }
+        try {
+            return JSON.parse(text)
+        } catch (err) {
+            throw new ParseError(response.url, text.substring(0, SNIPPET_LENGTH), err.message)
+        }
+    })
+}
+
+/**
+ * Decode json response body. Empty body decoded to null.
+ *
+ * Rejects with ParseError on malformed json.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const jsonFetcher = baseFetcher.copy({
+ *     postProcess: decodeJson
+ * })
+ * ```
+ */
+export function decodeJson(response: Promise<Response>): Promise<any> {
+    return response.then((r: Response) => (isEmpty(r) ? null : parseJson(r)))
+}
+
+/**
+ * Decode text response body. Empty body decoded to empty string.
+ */
+export function decodeText(response: Promise<Response>): Promise<string> {
+    return response.then((r: Response) => (isEmpty(r) ? '' : r.text()))
+}
+
+export function decodeBlob(response: Promise<Response>): Promise<Blob> {
+    return response.then((r: Response) => r.blob())
+}
+
+export function decodeArrayBuffer(response: Promise<Response>): Promise<ArrayBuffer> {
+    return response.then((r: Response) => r.arrayBuffer())
+}
+
+/**
+ * Choose decoder by Content-Type header.
+ *
+ * Json types decoded as json, text, xml, javascript and form-urlencoded types as text,
+ * other types as Blob. Empty body decoded to null.
+ */
+export function decodeAuto(response: Promise<Response>): Promise<any> {
+    return response.then((r: Response) => {
+        if (isEmpty(r)) {
+            return null
+        }
+        const contentType: string = getContentType(r)
+        if (jsonContentTypeRegExp.test(contentType)) {
+            return parseJson(r)
+        }
+        if (!contentType || textContentTypeRegExp.test(contentType)) {
+            return r.text()
+        }
+
+        return typeof r.blob === 'function' ? r.blob() : r.arrayBuffer()
+    })
+}
@@ -0,0 +1,139 @@
+/* @flow */
+/* eslint-env browser */
+import {AbortError} from './errors'
+import {headersToObject} from './headers'
+import {delegateSignal} from './scheduler'
+import type {IFetcher, StrDict} from './index'
+
+/**
+ * Dedupe key getter, null - do not dedupe request.
+ */
+export type DedupeKey = (req: IFetcher<*, *>) => ?string
+
+export type DedupeRec = {
+    /**
+     * Default - method, fullUrl and sorted headers of GET and HEAD requests.
+     */
+    key?: ?DedupeKey;
+}
+
+function defaultDedupeKey(req: IFetcher<*, *>): ?string {
+    const method: string = (req.options.method || 'GET').toUpperCase()
+    if (method !== 'GET' && method !== 'HEAD') {
+        return null
+    }
+    const headers: StrDict = headersToObject(req.options.headers)
+    const headerStr: string = Object.keys(headers)
+        .sort()
+        .map((name: string) => `${name}:${headers[name]}`)
+        .join('\n')
+
+    return `${method} ${req.fullUrl}\n${headerStr}`
+}
+
+function cloneResponse(response: Response): Response {
+    return response && typeof response.clone === 'function'
+        ? response.clone()
+        : response
+}
+
+/**
+ * Shared request with own abort controller, aborted when all callers aborted.
+ */
+class InflightRequest {
+    response: Promise<Response>
+    _controller: ?AbortController
+    _waiters: number = 0
+
+    constructor(req: IFetcher<*, *>, send: (req: IFetcher<*, *>) => Promise<Response>) {
+        const controller: ?AbortController = typeof AbortController === 'undefined'
+            ? null
+            : new AbortController()
+        this._controller = controller
+        this.response = send(controller ? req.copy({signal: controller.signal}) : req)
+    }
+
+    /**
+     * Response clone for caller, rejects with AbortError only if caller signal aborted.
+     */
+    wait(signal: ?AbortSignal, onCancel: () => void): Promise<Response> {
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError())
+        }
+        this._waiters++
+        if (!signal) {
+            return this.response.then(cloneResponse)
+        }
+        const abortSignal: AbortSignal = signal
+        if (this._controller) {
+            delegateSignal(abortSignal, this._controller.signal)
+        }
+
+        return new Promise((resolve: (r: Response) => void, reject: (e: Error) => void) => {
+            const onAbort = () => {
+                reject(new AbortError())
+                this._waiters--
+                if (!this._waiters) {
+                    onCancel()
+                    if (this._controller) {
+                        this._controller.abort()
+                    }
+                }
+            }
+            const cleanup = () => abortSignal.removeEventListener('abort', onAbort)
+            abortSignal.addEventListener('abort', onAbort)
+            this.response.then(
+                (response: Response) => {
+                    cleanup()
+                    resolve(cloneResponse(response))
+                },
+                (err: Error) => {
+                    cleanup()
+                    reject(err)
+                }
+            )
+        })
+    }
+}
+
+/**
+ * Shares in-flight request promise between identical requests.
+ *
+ * Nothing is cached after request settled. Each caller receives own Response clone.
+ * Caller with aborted signal is rejected alone, shared request is aborted after all callers.
+ */
+export class Deduper {
+    _inflight: Map<string, InflightRequest> = new Map()
+    _getKey: DedupeKey
+
+    constructor(rec?: DedupeRec = {}) {
+        this._getKey = rec.key || defaultDedupeKey
+    }
+
+    _remove(key: string, inflight: InflightRequest): void {
+        if (this._inflight.get(key) === inflight) {
+            this._inflight.delete(key)
+        }
+    }
+
+    run(
+        req: IFetcher<*, *>,
+        send: (req: IFetcher<*, *>) => Promise<Response>
+    ): Promise<Response> {
+        const key: ?string = this._getKey(req)
+        if (key === null || key === undefined) {
+            return send(req)
+        }
+        let inflight: ?InflightRequest = this._inflight.get(key)
+        if (!inflight) {
+            const created: InflightRequest = new InflightRequest(req, send)
+            const done = () => this._remove(key, created)
+            created.response.then(done, done)
+            this._inflight.set(key, created)
+            inflight = created
+        }
+        const current: InflightRequest = inflight
+
+        return current.wait((req.options: Object).signal, () => this._remove(key, current))
+    }
+}
@@ -0,0 +1,61 @@
+/* @flow */
+import {stringifyQuery} from './query'
+
+/**
+ * Serialize plain object or array body to fetch body.
+ */
+export type BodyEncoder = (body: any) => string | Blob | FormData | URLSearchParams
+
+/**
+ * Body encoders by media type without parameters, for example application/json.
+ */
+export type BodyEncoders = {[mediaType: string]: BodyEncoder}
+
+export function createJsonEncoder(
+    replacer?: ?((key: string, value: any) => any) | ?Array<string | number>
+): BodyEncoder {
+    return function encodeJson(body: any): string {
+        return JSON.stringify(body, (replacer: any))
+    }
+}
+
+/**
+ * Plain object to a=1&b[c]=2 form.
+ */
+export function encodeForm(body: any): string {
+    return stringifyQuery(body)
+}
+
+/**
+ * Array to newline delimited json, one item per line.
+ */
+export function encodeNdjson(body: any): string {
+    const items: mixed[] = Array.isArray(body) ? body : [body]
+    return items.map((item: mixed) => `${JSON.stringify(item)}\n`).join('')
+}
+
+/**
+ * Array items on separate lines, other values as string.
+ */
+export function encodeText(body: any): string {
+    return Array.isArray(body) ? body.join('\n') : String(body)
+}
+
+export const defaultEncoders: BodyEncoders = {
+    'application/json': createJsonEncoder(),
+    'application/x-www-form-urlencoded': encodeForm,
+    'application/x-ndjson': encodeNdjson,
+    'text/plain': encodeText
+}
+
+/**
+ * Find encoder by Content-Type header value, +json media types use application/json encoder.
+ */
+export function findEncoder(encoders: BodyEncoders, contentType: string): ?BodyEncoder {
+    const mediaType: string = contentType.split(';')[0].trim().toLowerCase()
+    if (encoders[mediaType]) {
+        return encoders[mediaType]
+    }
+
+    return /\+json$/.test(mediaType) ? encoders['application/json'] : null
+}
@@ -0,0 +1,225 @@
+/* @flow */
+import Err from 'es6-error'
+
+export class HttpError extends Err {
+    response: Response;
+
+    /**
+     * Response status code.
+     */
+    status: number;
+
+    /**
+     * Parsed json or text response body, if error created by readHttpError.
+     */
+    body: mixed;
+
+    constructor(response: Response, body?: mixed, message?: ?string) {
+        super(message || response.statusText)
+        this.response = response
+        this.status = response.status
+        this.body = body === undefined ? null : body
+    }
+}
+
+/**
+ * 4xx statuses.
+ */
+export class ClientError extends HttpError {}
+export class BadRequestError extends ClientError {}
+export class UnauthorizedError extends ClientError {}
+export class ForbiddenError extends ClientError {}
+export class NotFoundError extends ClientError {}
+export class ConflictError extends ClientError {}
+export class UnprocessableEntityError extends ClientError {}
+export class TooManyRequestsError extends ClientError {}
+
+/**
+ * 5xx statuses.
+ */
+export class ServerError extends HttpError {}
+export class ServiceUnavailableError extends ServerError {}
+export class GatewayTimeoutError extends ServerError {}
+
+function getErrorClass(status: number): Class<HttpError> {
+    switch (status) {
+        case 400: return BadRequestError
+        case 401: return UnauthorizedError
+        case 403: return ForbiddenError
+        case 404: return NotFoundError
+        case 409: return ConflictError
+        case 422: return UnprocessableEntityError
+        case 429: return TooManyRequestsError
+        case 503: return ServiceUnavailableError
+        case 504: return GatewayTimeoutError
+        default:
+            if (status >= 500) {
+                return ServerError
+            }
+            return status >= 400 ? ClientError : HttpError
+    }
+}
+
+/**
+ * Create HttpError subclass instance by response status.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * createHttpError(response) instanceof NotFoundError // response.status === 404
+ * ```
+ */
+export function createHttpError(response: Response, body?: mixed, message?: ?string): HttpError {
+    const ErrorClass: Class<HttpError> = getErrorClass(response.status)
+
+    return new ErrorClass(response, body, message)
+}
+
+function getBodyMessage(body: mixed): ?string {
+    if (!body || typeof body !== 'object') {
+        return null
+    }
+    // application/problem+json detail and title, or common message property
+    const message: mixed = body.detail || body.title || body.message
+
+    return typeof message === 'string' ? message : null
+}
+
+/**
+ * Matches application/json and +json content types.
+ */
+export const jsonContentTypeRegExp: RegExp = /[/+]json\b/i
+
+/**
+ * Read response body and create HttpError with parsed body attached.
+ *
+ * Json and application/problem+json bodies are parsed, other bodies are read as text.
+ * Problem detail or title is used as error message.
+ */
+export function readHttpError(response: Response): Promise<HttpError> {
+    const contentType: ?string = response.headers ? response.headers.get('Content-Type') : null
+    const isJson: boolean = !!contentType && jsonContentTypeRegExp.test(contentType)
+    const read: ?() => Promise<mixed> = isJson ? response.json : response.text
+    if (typeof read !== 'function') {
+        return Promise.resolve(createHttpError(response))
+    }
+
+    return read.call(response)
+        .then(
+            (body: mixed) => createHttpError(response, body, getBodyMessage(body)),
+            () => createHttpError(response)
+        )
+}
+
+export class TimeoutError extends Err {
+    url: string;
+    timeout: number;
+
+    constructor(url: string, timeout: number) {
+        super(`Request timeout of ${timeout}ms exceeded: ${url}`)
+        this.url = url
+        this.timeout = timeout
+    }
+}
+
+export class AbortError extends Err {
+    constructor(message?: string = 'Request aborted') {
+        super(message)
+    }
+}
+
+export class ParseError extends Err {
+    url: string;
+
+    /**
+     * First characters of response body.
+     */
+    snippet: string;
+
+    constructor(url: string, snippet: string, reason?: ?string) {
+        super(`Malformed response from ${url}${reason ? ` (${reason})` : ''}: ${snippet}`)
+        this.url = url
+        this.snippet = snippet
+    }
+}
+
+export type ValidationIssue = {
+    /**
+     * Path to invalid value.
+     *
+     * @example $.items[0].id
+     */
+    path: string;
+    message: string;
+}
+
+export class ValidationError extends Err {
+    url: string;
+    method: string;
+    issues: ValidationIssue[];
+
+    constructor(url: string, method: string, issues: ValidationIssue[]) {
+        super(`Invalid response from ${method} ${url}: ${issues
+            .map((issue: ValidationIssue) => `${issue.path} ${issue.message}`)
+            .join(', ')
+        }`)
+        this.url = url
+        this.method = method
+        this.issues = issues
+    }
+}
+
+export class UrlTemplateError extends Err {
+    template: string;
+    param: ?string;
+
+    constructor(template: string, message: string, param?: ?string) {
+        super(`${message} in url template "${template}"`)
+        this.template = template
+        this.param = param || null
+    }
+}
+
+/**
+ * Item with requested id is not found in batch response.
+ */
+export class ItemNotFoundError extends Err {
+    id: string;
+
+    constructor(id: string) {
+        super(`Item "${id}" not found in batch response`)
+        this.id = id
+    }
+}
+
+/**
+ * Response 304 to conditional request, Loader reuses cached result.
+ */
+export class NotModifiedError extends Err {
+    url: string;
+
+    constructor(url: string) {
+        super(`Not modified: ${url}`)
+        this.url = url
+    }
+}
+
+/**
+ * Circuit breaker of request key is open, request is not sent.
+ */
+export class CircuitOpenError extends Err {
+    key: string;
+    url: string;
+
+    /**
+     * Time in ms, when circuit becomes half-open.
+     */
+    retryAt: number;
+
+    constructor(key: string, url: string, retryAt: number) {
+        super(`Circuit "${key}" is open, request rejected: ${url}`)
+        this.key = key
+        this.url = url
+        this.retryAt = retryAt
+    }
+}
@@ -0,0 +1,207 @@
+/* @flow */
+import {headersToObject} from './headers'
+import {parseQuery} from './query'
+import {requestToJSON} from './debug'
+import type {IFetcher, Middleware, Next, StrDict} from './index'
+import type {RequestJSON} from './debug'
+
+export type HarHeader = {
+    name: string;
+    value: string;
+}
+
+export type HarRequest = {
+    method: string;
+    url: string;
+    httpVersion: string;
+    headers: HarHeader[];
+    queryString: HarHeader[];
+    cookies: HarHeader[];
+    headersSize: number;
+    bodySize: number;
+    postData?: {mimeType: string, text: string};
+}
+
+export type HarContent = {
+    size: number;
+    mimeType: string;
+    text: string;
+}
+
+export type HarResponse = {
+    status: number;
+    statusText: string;
+    httpVersion: string;
+    headers: HarHeader[];
+    cookies: HarHeader[];
+    content: HarContent;
+    redirectURL: string;
+    headersSize: number;
+    bodySize: number;
+
+    /**
+     * Network error message, status is 0.
+     */
+    _error?: string;
+}
+
+export type HarEntry = {
+    startedDateTime: string;
+    time: number;
+    request: HarRequest;
+    response: HarResponse;
+    cache: {};
+    timings: {send: number, wait: number, receive: number};
+}
+
+export type Har = {
+    log: {
+        version: string;
+        creator: {name: string, version: string};
+        entries: HarEntry[];
+    };
+}
+
+export type HarRec = {
+    /**
+     * Oldest entries are dropped. Default 1000.
+     */
+    maxEntries?: ?number;
+
+    /**
+     * Read and save response body text. Default true.
+     */
+    content?: boolean;
+}
+
+function toPairs(dict: StrDict): HarHeader[] {
+    return Object.keys(dict).map((name: string) => ({name, value: dict[name]}))
+}
+
+function createRequest(json: RequestJSON): HarRequest {
+    const queryIndex: number = json.url.indexOf('?')
+    const query: string = queryIndex === -1 ? '' : json.url.substring(queryIndex + 1)
+    const request: HarRequest = {
+        method: json.method,
+        url: json.url,
+        httpVersion: 'HTTP/1.1',
+        headers: toPairs(json.headers),
+        queryString: query ? toPairs(parseQuery(query)) : [],
+        cookies: [],
+        headersSize: -1,
+        bodySize: json.body ? json.body.length : 0
+    }
+    if (json.body !== null && json.body !== undefined) {
+        request.postData = {mimeType: json.headers['content-type'] || '', text: json.body}
+    }
+
+    return request
+}
+
+function createResponse(response: ?Response, error: ?Error): HarResponse {
+    const headers: StrDict = response ? headersToObject((response.headers: any)) : {}
+    const result: HarResponse = {
+        status: response ? response.status : 0,
+        statusText: response ? response.statusText || '' : '',
+        httpVersion: 'HTTP/1.1',
+        headers: toPairs(headers),
+        cookies: [],
+        content: {size: -1, mimeType: headers['content-type'] || '', text: ''},
+        redirectURL: headers.location || '',
+        headersSize: -1,
+        bodySize: -1
+    }
+    if (error) {
+        result._error = error.message
+    }
+
+    return result
+}
+
+/**
+ * Records request and response pairs in HAR 1.2 format for browser devtools.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const har = new HarRecorder()
+ * const apiFetcher = baseFetcher.copy({middlewares: [har.middleware]})
+ * // save as file.har and import into devtools network panel
+ * JSON.stringify(har.toHAR())
+ * ```
+ */
+export class HarRecorder {
+    _entries: HarEntry[] = []
+    _maxEntries: number
+    _content: boolean
+
+    constructor(rec?: HarRec = {}) {
+        this._maxEntries = rec.maxEntries || 1000
+        this._content = rec.content === undefined ? true : rec.content
+    }
+
+    _add(entry: HarEntry): void {
+        this._entries.push(entry)
+        if (this._entries.length > this._maxEntries) {
+            this._entries.shift()
+        }
+    }
+
+    _readContent(entry: HarEntry, response: Response): void {
+        if (!this._content || !response || typeof response.clone !== 'function') {
+            return
+        }
+        const content: HarContent = entry.response.content
+        response.clone().text().then((text: string) => {
+            content.text = text
+            content.size = text.length
+        }, () => {})
+    }
+
+    middleware: Middleware = (req: IFetcher<*, *>, next: Next) => {
+        const start: number = Date.now()
+        const request: HarRequest = createRequest(requestToJSON(req.fullUrl, req.options))
+        const record = (response: ?Response, error: ?Error): HarEntry => {
+            const time: number = Date.now() - start
+            const entry: HarEntry = {
+                startedDateTime: new Date(start).toISOString(),
+                time,
+                request,
+                response: createResponse(response, error),
+                cache: {},
+                timings: {send: 0, wait: time, receive: 0}
+            }
+            this._add(entry)
+
+            return entry
+        }
+
+        return next(req).then(
+            (response: Response) => {
+                this._readContent(record(response, null), response)
+                return response
+            },
+            (error: Error) => {
+                record(null, error)
+                throw error
+            }
+        )
+    }
+
+    /**
+     * Recorded entries in HAR 1.2 format.
+     */
+    toHAR(): Har {
+        return {
+            log: {
+                version: '1.2',
+                creator: {name: 'fetch-builder', version: ''},
+                entries: this._entries.slice()
+            }
+        }
+    }
+
+    clear(): void {
+        this._entries = []
+    }
+}
@@ -0,0 +1,24 @@
+/* @flow */
+import type {StrDict} from './index'
+
+/**
+ * Convert Headers instance or plain object to plain object with lowercased names.
+ */
+export function headersToObject(headers: ?HeadersInit): StrDict {
+    const result: StrDict = {}
+    if (!headers) {
+        return result
+    }
+    if (typeof (headers: Object).forEach === 'function') {
+        (headers: Object).forEach((value: string, name: string) => {
+            result[name.toLowerCase()] = value
+        })
+        return result
+    }
+    const keys: string[] = Object.keys(headers)
+    for (let i = 0, l = keys.length; i < l; i++) {
+        result[keys[i].toLowerCase()] = (headers: Object)[keys[i]]
+    }
+
+    return result
+}
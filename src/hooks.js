@@ -0,0 +1,79 @@
+/* @flow */
+
+export type FetchEventType = 'request' | 'response' | 'error' | 'retry' | 'cacheHit' | 'cacheMiss'
+
+export type FetchEvent = {
+    type: FetchEventType;
+
+    /**
+     * Correlation id, same for request, retry and response or error events of one fetch.
+     */
+    id: string;
+    method: string;
+    fullUrl: string;
+
+    /**
+     * baseUrl and url template, for grouping by route.
+     */
+    route: string;
+    status: ?number;
+
+    /**
+     * Time in ms from request event.
+     */
+    duration: ?number;
+
+    /**
+     * Failed attempt number in retry event.
+     */
+    attempt: ?number;
+    error: ?Error;
+}
+
+export type FetchHook = (event: FetchEvent) => void
+
+/**
+ * Lifecycle hooks, accumulated through copy.
+ *
+ * Cache hooks are called by Loader and Repository.
+ */
+export type Hooks = {
+    onRequest?: ?FetchHook;
+    onResponse?: ?FetchHook;
+    onError?: ?FetchHook;
+    onRetry?: ?FetchHook;
+    onCacheHit?: ?FetchHook;
+    onCacheMiss?: ?FetchHook;
+}
+
+let counter: number = 0
+
+export function createCorrelationId(): string {
+    counter++
+    return [
+        Date.now().toString(36),
+        counter.toString(36),
+        Math.random().toString(36).substring(2, 8)
+    ].join('-')
+}
+
+function getHook(hooks: Hooks, type: FetchEventType): ?FetchHook {
+    switch (type) {
+        case 'request': return hooks.onRequest
+        case 'response': return hooks.onResponse
+        case 'error': return hooks.onError
+        case 'retry': return hooks.onRetry
+        case 'cacheHit': return hooks.onCacheHit
+        case 'cacheMiss': return hooks.onCacheMiss
+        default: return null
+    }
+}
+
+export function emitEvent(hooks: Hooks[], event: FetchEvent): void {
+    for (let i = 0, l = hooks.length; i < l; i++) {
+        const hook: ?FetchHook = getHook(hooks[i], event.type)
+        if (hook) {
+            hook(event)
+        }
+    }
+}
@@ -1,6 +1,64 @@
 /* @flow */
 /* eslint-env browser */
-import Err from 'es6-error'
+import {
+    HttpError,
+    NotModifiedError,
+    ValidationError,
+    createHttpError,
+    readHttpError
+} from './errors'
+import type {ValidationIssue} from './errors'
+import {createValidator} from './validate'
+import type {Validate} from './validate'
+import {Deduper} from './dedupe'
+import {Scheduler, getOrigin, isQueued} from './scheduler'
+import {CircuitBreaker} from './circuit'
+import {requestToCurl, requestToJSON} from './debug'
+import {encode, stringifyQuery} from './query'
+import {compileTemplate} from './template'
+import type {UrlTemplate} from './template'
+import type {DedupeRec} from './dedupe'
+import type {SchedulerRec} from './scheduler'
+import type {CircuitRec} from './circuit'
+import type {RequestJSON} from './debug'
+import {Batcher} from './batch'
+import type {BatchRec} from './batch'
+import type {StorageAdapter} from './storage'
+import {abortableFetch, createAbortController, retryFetch} from './retry'
+import {parseCacheControl} from './cacheControl'
+import type {CacheControl} from './cacheControl'
+import type {OnRetry, RetryRec} from './retry'
+import {isBlob} from './multipart'
+import {trackDownloadProgress} from './progress'
+import type {OnProgress} from './progress'
+import {defaultEncoders, findEncoder} from './encoders'
+import type {BodyEncoder, BodyEncoders} from './encoders'
+import {headersToObject} from './headers'
+import {createCorrelationId, emitEvent} from './hooks'
+import type {FetchEventType, Hooks} from './hooks'
+
+export * from './errors'
+export * from './decoders'
+export * from './validate'
+export * from './dedupe'
+export * from './scheduler'
+export * from './circuit'
+export type {RetryRec} from './retry'
+export {createStringifyQuery, parseQuery, stringifyQuery} from './query'
+export type {ArrayFormat, StringifyQueryRec} from './query'
+export * from './template'
+export * from './paginator'
+export * from './batch'
+export * from './auth'
+export * from './storage'
+export * from './mutation'
+export * from './multipart'
+export * from './progress'
+export * from './encoders'
+export * from './hooks'
+export * from './metrics'
+export * from './debug'
+export * from './har'
 
 export type StrDict = {[id: string]: string}
 
@@ -15,6 +73,10 @@ export type Preprocess<Result, Params>
 
 export type MethodType = string
 
+export type FetchFn = (url: string, options: RequestOptions) => Promise<Response>
+
+export type ValidateMode = 'strict' | 'warn'
+
 /**
  * Input args for Fetcher
  *
@@ -66,7 +128,7 @@ export type FetcherRec<Params: Object> = {
     params?: ?Params;
 
     /**
-     * Params serializer function.
+     * Params serializer function, default createSerializeParams().
      *
      * @example
      ```js
@@ -96,7 +158,10 @@ export type FetcherRec<Params: Object> = {
     postProcess?: ?PostProcess<*, *>;
 
     /**
-     * Preprocess Request options before fetch
+     * Preprocess Request options before fetch.
+     *
+     * Added to the end of middlewares chain, composed with parent preProcess in copy.
+     * postProcess of returned fetcher is applied to response.
      *
      * @example
      * ```js
@@ -111,17 +176,166 @@ export type FetcherRec<Params: Object> = {
      */
     preProcess?: ?Preprocess<*, *>;
 
+    /**
+     * Request middlewares, appended to existing middlewares in copy.
+     *
+     * Called in order, before retry and timeout handling.
+     *
+     * @example
+     * ```js
+     * // @flow
+     *
+     * function logger(req: IFetcher<*, *>, next: Next): Promise<Response> {
+     *     console.log(req.fullUrl)
+     *     return next(req.copy({headers: {'X-Request': '1'}}))
+     *         .then((response: Response) => {
+     *             console.log(response.status)
+     *             return response
+     *         })
+     * }
+     * ```
+     */
+    middlewares?: ?Middleware[];
+
     /**
      * Whatwg fetch function, default to global fetch
      */
     fetchFn?: ?FetchFn;
 
+    /**
+     * Retry policy for transient failures.
+     *
+     * Wraps fetchFn: preProcess and postProcess are called once, with the last attempt response.
+     *
+     * @example
+     * ```js
+     * {
+     *     attempts: 3,
+     *     delay: 300,
+     *     maxDelay: 10000,
+     *     retryOn: (err: Error, attempt: number) => !(err instanceof HttpError)
+     * }
+     * ```
+     */
+    retry?: ?RetryRec;
+
+    /**
+     * Request timeout in ms, until response headers received.
+     *
+     * Rejects with TimeoutError and aborts request. Applied to each retry attempt.
+     */
+    timeout?: ?number;
+
+    /**
+     * Share in-flight network promise between identical requests.
+     *
+     * By default GET and HEAD requests with same method, fullUrl and headers are deduped.
+     * Deduper instance is shared through copy, new dedupe value creates new scope.
+     *
+     * @example
+     * ```js
+     * {
+     *     key: (req: IFetcher<*, *>) => req.options.method === 'GET' ? req.fullUrl : null
+     * }
+     * ```
+     */
+    dedupe?: ?(boolean | DedupeRec | Deduper);
+
+    /**
+     * Concurrency limits, global and per origin of baseUrl.
+     *
+     * Scheduler instance is shared through copy, new scheduler value creates new scope.
+     * Queued request is removed, if its signal aborted or its loader reset.
+     */
+    scheduler?: ?(SchedulerRec | Scheduler);
+
+    /**
+     * Queued requests with higher priority are started first. Default 0.
+     */
+    priority?: ?number;
+
+    /**
+     * Reject requests with CircuitOpenError, while backend is unhealthy.
+     *
+     * Circuits are keyed by origin of fullUrl or custom key.
+     * CircuitBreaker instance is shared through copy, new value creates new scope.
+     */
+    circuitBreaker?: ?(CircuitRec | CircuitBreaker);
+
+    /**
+     * Decoded result validator: function or JSON-Schema like object.
+     *
+     * Rejects with ValidationError if result is invalid.
+     *
+     * @example
+     * ```js
+     * {
+     *     type: 'object',
+     *     required: ['id'],
+     *     properties: {
+     *         id: {type: 'string'}
+     *     }
+     * }
+     * ```
+     */
+    validate?: ?Validate;
+
+    /**
+     * strict - reject invalid result with ValidationError, default.
+     * warn - pass invalid result and call onValidationWarning.
+     */
+    validateMode?: ?ValidateMode;
+
+    /**
+     * Validation warning handler in warn mode, default console.warn.
+     */
+    onValidationWarning?: ?(err: ValidationError) => void;
+
+    /**
+     * Abort signal, passed to fetchFn options.
+     *
+     * Fetch rejects with AbortError after signal aborted, even if fetchFn does not support signal.
+     */
+    signal?: ?AbortSignal;
+
+    /**
+     * Download progress handler, called on each read chunk of response body.
+     *
+     * total is taken from Content-Length. Requires response with readable body stream.
+     */
+    onDownloadProgress?: ?OnProgress;
+
+    /**
+     * Upload progress handler, passed to fetchFn options.
+     *
+     * Used by fetchFn, which supports it, for example XMLHttpRequest based fetchFn.
+     */
+    onUploadProgress?: ?OnProgress;
+
     /**
      * Request body.
      *
-     * Plain objects will be searilzed to json string.
+     * Plain objects and arrays are serialized by encoder of Content-Type, default json.
+     */
+    body?: ?(Blob | FormData | URLSearchParams | string | Object | mixed[]);
+
+    /**
+     * Body encoders by Content-Type media type, merged with default and parent encoders in copy.
+     *
+     * Default: application/json, application/x-www-form-urlencoded, application/x-ndjson,
+     * text/plain.
+     */
+    encoders?: ?BodyEncoders;
+
+    /**
+     * Lifecycle hooks, appended to existing hooks in copy.
      */
-    body?: ?(Blob | FormData | URLSearchParams | string | Object);
+    hooks?: ?(Hooks | Hooks[]);
+
+    /**
+     * Correlation id request header, if hooks exist. Null - do not send. Default X-Correlation-ID.
+     */
+    correlationHeader?: ?string;
 
     /**
      * Below parameters from RequestOptions
@@ -172,16 +386,53 @@ export interface IFetcher<Result, Params: Object> { // eslint-disable-line
     fetch(rec?: FetcherRec<*>): Promise<Result>;
 }
 
-function isFormData(val: Object): boolean {
-    return (typeof FormData !== 'undefined') && (val instanceof FormData)
+/**
+ * Event fields, not taken from fetcher.
+ */
+export type FetchEventRec = {
+    id?: ?string;
+    status?: ?number;
+    duration?: ?number;
+    attempt?: ?number;
+    error?: ?Error;
+}
+
+class RequestContext {
+    /**
+     * Correlation id, null if no hooks.
+     */
+    id: ?string
+    start: number = Date.now()
+    status: ?number = null
+
+    /**
+     * Last fetcher, returned by preProcess, its postProcess is used.
+     */
+    preprocessed: ?IFetcher<*, *> = null
+
+    constructor(id: ?string) {
+        this.id = id
+    }
+
+    preprocess(req: IFetcher<*, *>): void {
+        this.preprocessed = req
+    }
 }
 
-const toString = Object.prototype.toString
-function isBlob(val: Object): boolean {
-    return toString.call(val) === '[object Blob]'
+export type Next = (req: IFetcher<*, *>) => Promise<Response>
+
+/**
+ * Onion-style request middleware.
+ *
+ * Can change request, short-circuit it or inspect raw Response before postProcess.
+ */
+export type Middleware = (req: IFetcher<*, *>, next: Next) => Promise<Response>
+
+function isFormData(val: mixed): boolean {
+    return (typeof FormData !== 'undefined') && (val instanceof FormData)
 }
 
-function isURLSearchParams(val: Object): boolean {
+function isURLSearchParams(val: mixed): boolean {
     return typeof URLSearchParams !== 'undefined' && val instanceof URLSearchParams
 }
 
@@ -237,23 +488,100 @@ function mergeHeaders(setHeaders: boolean, ...headerSets: (?HeadersInit)[]): Hea
     return result
 }
 
-export class HttpError extends Err {
-    response: Response;
-
-    constructor(response: Response) {
-        super(response.statusText)
-        this.response = response
-    }
-}
-
 /**
  * Check response status value and throw error if it not in 200-300 range.
+ *
+ * Thrown error is HttpError subclass, chosen by status: NotFoundError, ServerError, etc.
  */
 export function checkStatus(response: Response): Response {
     if (response.status >= 200 && response.status < 300) {
         return response
     }
-    throw new HttpError(response)
+    throw createHttpError(response)
+}
+
+export type StatusRange = number | [number, number]
+
+export type CheckStatusRec = {
+    /**
+     * Success statuses: list of statuses and inclusive ranges or predicate. Default [[200, 299]].
+     *
+     * @example [[200, 299], 304, 404]
+     */
+    ok?: ?(StatusRange[] | (status: number) => boolean);
+
+    /**
+     * If true - read response body and attach it to HttpError. Default true.
+     */
+    parseBody?: boolean;
+}
+
+function createIsOk(ok: StatusRange[]): (status: number) => boolean {
+    return function isOk(status: number): boolean {
+        for (let i = 0, l = ok.length; i < l; i++) {
+            const range: StatusRange = ok[i]
+            if (typeof range === 'number'
+                ? status === range
+                : status >= range[0] && status <= range[1]
+            ) {
+                return true
+            }
+        }
+
+        return false
+    }
+}
+
+/**
+ * Create status checker with custom success statuses.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const check = createCheckStatus({ok: [[200, 299], 304]})
+ *
+ * fetch(fullUrl, options).then(check)
+ * ```
+ */
+export function createCheckStatus(
+    rec?: CheckStatusRec = {}
+): (response: Response) => Promise<Response> {
+    const ok = rec.ok
+    const isOk: (status: number) => boolean = typeof ok === 'function'
+        ? ok
+        : createIsOk(ok || [[200, 299]])
+    const parseBody: boolean = rec.parseBody === undefined ? true : rec.parseBody
+
+    return function check(response: Response): Promise<Response> {
+        if (isOk(response.status)) {
+            return Promise.resolve(response)
+        }
+
+        return parseBody
+            ? readHttpError(response).then((err: HttpError) => Promise.reject(err))
+            : Promise.reject(createHttpError(response))
+    }
+}
+
+function noop(): void {}
+
+/**
+ * Abort controller, when signal aborts. Returns function, which removes abort listener.
+ */
+function linkSignal(signal: ?AbortSignal, controller: ?AbortController): () => void {
+    if (!signal || !controller) {
+        return noop
+    }
+    const target: AbortController = controller
+    if (signal.aborted) {
+        target.abort()
+        return noop
+    }
+    const source: AbortSignal = signal
+    const onAbort = () => target.abort()
+    source.addEventListener('abort', onAbort)
+
+    return () => source.removeEventListener('abort', onAbort)
 }
 
 function regExpMapString(replaceRegExp: RegExp, template: string, params: StrDict): {
@@ -262,11 +590,12 @@ function regExpMapString(replaceRegExp: RegExp, template: string, params: StrDic
 } {
     const newParams: StrDict = {...params}
     const str: string = template.replace(replaceRegExp, (_v: any, k: string) => {
-        if (!params[k]) {
+        const value: mixed = params[k]
+        if (value === null || value === undefined) {
             throw new Error(`No parameter provided to params: ${k}`)
         }
         delete newParams[k]
-        return params[k]
+        return encode(String(value))
     })
 
     return {
@@ -279,14 +608,30 @@ const DEFAULT_MAP_REGEXP = new RegExp(':([\\w]+)', 'g')
 
 /**
  * Create params serializer.
+ *
+ * Placeholder values are percent-encoded, other params serialized by stringify.
+ * Default stringify is built-in stringifyQuery.
+ *
+ * With default placeholderRegExp url templates support optional `/user/:id?`,
+ * constrained `/item/:id(\d+)` and wildcard `/files/*path` placeholders.
  */
 export function createSerializeParams(
-    stringify: (params: StrDict) => string,
-    placeholderRegExp: RegExp = DEFAULT_MAP_REGEXP
+    stringify?: ?(params: StrDict) => string,
+    placeholderRegExp?: RegExp = DEFAULT_MAP_REGEXP
 ): SerializeParams {
+    const stringifyParams: (params: StrDict) => string = stringify || stringifyQuery
+
     function serializeParams(url: string, params: StrDict): string {
-        const {str, newParams} = regExpMapString(placeholderRegExp, url, params)
-        const qStr: string = stringify(newParams)
+        let str: string
+        let newParams: StrDict
+        if (placeholderRegExp === DEFAULT_MAP_REGEXP) {
+            const {url: builtUrl, rest} = compileTemplate(url).build(params)
+            str = builtUrl
+            newParams = rest
+        } else {
+            ({str, newParams} = regExpMapString(placeholderRegExp, url, params))
+        }
+        const qStr: string = stringifyParams(newParams)
 
         return str + (qStr ? ('?' + qStr) : '')
     }
@@ -305,17 +650,153 @@ function pass<V>(arg: V): any {
     return arg
 }
 
-export type FetchFn = (url: string, options: RequestOptions) => Promise<Response>
+function defaultValidationWarning(err: ValidationError): void {
+    if (typeof console !== 'undefined') {
+        console.warn(err.message) // eslint-disable-line
+    }
+}
+
+function createDeduper(dedupe: ?(boolean | DedupeRec | Deduper)): ?Deduper {
+    if (!dedupe) {
+        return null
+    }
+    if (dedupe instanceof Deduper) {
+        return dedupe
+    }
+
+    return new Deduper(dedupe === true ? {} : dedupe)
+}
+
+/**
+ * Scheme, credentials and host of absolute url as written, not templated in baseUrl.
+ */
+function getUrlOrigin(url: string): string {
+    // getOrigin result is lowercased, but has same length
+    return url.substring(0, getOrigin(url).length)
+}
+
+function createScheduler(scheduler: ?(SchedulerRec | Scheduler)): ?Scheduler {
+    if (!scheduler) {
+        return null
+    }
+
+    return scheduler instanceof Scheduler ? scheduler : new Scheduler(scheduler)
+}
+
+function createCircuitBreaker(breaker: ?(CircuitRec | CircuitBreaker)): ?CircuitBreaker {
+    if (!breaker) {
+        return null
+    }
+
+    return breaker instanceof CircuitBreaker ? breaker : new CircuitBreaker(breaker)
+}
+
+const preProcessMiddlewares: WeakSet<Middleware> = new WeakSet()
+
+function createPreProcessMiddleware(preProcess: Preprocess<*, *>): Middleware {
+    function preProcessMiddleware(req: IFetcher<*, *>, next: Next): Promise<Response> {
+        return preProcess(req).then(next)
+    }
+    preProcessMiddlewares.add(preProcessMiddleware)
+
+    return preProcessMiddleware
+}
+
+export type LoaderRec = {
+    /**
+     * Cached result lifetime in ms. Default - cache forever.
+     */
+    maxAge?: ?number;
+
+    /**
+     * Time in ms after maxAge, while stale result is served and refreshed in background.
+     */
+    staleWhileRevalidate?: ?number;
+
+    /**
+     * Remember ETag and Last-Modified of response, send If-None-Match and If-Modified-Since
+     * on refetch and reuse cached result on 304.
+     */
+    conditional?: ?boolean;
+
+    /**
+     * Response Cache-Control max-age overrides maxAge, no-cache and no-store expire result at once.
+     * no-store also drops ETag and Last-Modified.
+     */
+    cacheControl?: ?boolean;
+}
+
+type CacheValidators<Result> = {
+    etag: ?string;
+    lastModified: ?string;
+
+    /**
+     * Cache-Control of stored response, reused if 304 response omits it.
+     */
+    cacheControl: ?string;
+    value: Result;
+}
+
+/**
+ * Cached result freshness.
+ *
+ * empty - nothing fetched, pending - first fetch in progress,
+ * fresh - result is younger than maxAge, stale - result served and will be refreshed on next fetch,
+ * revalidating - stale result served, refresh in progress, expired - result will be fetched again.
+ */
+export type CacheStatus = 'empty' | 'pending' | 'fresh' | 'stale' | 'revalidating' | 'expired'
+
+/**
+ * Loader state, passed to subscribers.
+ *
+ * loading - fetch or revalidation started, value - previous result.
+ * success - result fetched or set, error - fetch or optimistic write confirmation failed.
+ */
+export type LoaderState<Result> = {
+    status: 'loading' | 'success' | 'error';
+    value: ?Result;
+    error: ?Error;
+}
+
+export type LoaderListener<Result> = (state: LoaderState<Result>) => void
+
+/**
+ * Serializable loader result.
+ */
+export type LoaderSnapshot<Result> = {
+    value: Result;
+
+    /**
+     * Result fetch timestamp in ms, used for maxAge checks.
+     */
+    updated: number;
+}
 
 /**
  * Cacheable data loader
  */
 export class Loader<Result> {
     _result: ?Promise<Result> = null
+    _value: ?Result = null
+    _revalidating: ?Promise<void> = null
+    _controller: ?AbortController = null
+    _updated: number = 0
     _fetcher: ?IFetcher<Result, *>
-
-    constructor(fetcher?: IFetcher<Result, *>) {
+    _maxAge: number
+    _staleWhileRevalidate: number
+    _conditional: boolean
+    _cacheControl: boolean
+    _validators: ?CacheValidators<Result> = null
+    _responseMaxAge: ?number = null
+    _listeners: LoaderListener<Result>[] = []
+    _version: number = 0
+
+    constructor(fetcher?: IFetcher<Result, *>, rec?: LoaderRec = {}) {
         this._fetcher = fetcher || null
+        this._maxAge = typeof rec.maxAge === 'number' ? rec.maxAge : Infinity
+        this._staleWhileRevalidate = rec.staleWhileRevalidate || 0
+        this._conditional = rec.conditional || false
+        this._cacheControl = rec.cacheControl || false
     }
 
     _onError: (err: Error) => any = (err: Error) => {
@@ -323,34 +804,329 @@ export class Loader<Result> {
         throw err
     }
 
+    /**
+     * Subscribe to loading, success and error states, returns unsubscribe function.
+     */
+    subscribe(listener: LoaderListener<Result>): () => void {
+        this._listeners.push(listener)
+
+        return () => {
+            this._listeners = this._listeners
+                .filter((item: LoaderListener<Result>) => item !== listener)
+        }
+    }
+
+    hasListeners(): boolean {
+        return this._listeners.length > 0
+    }
+
+    _notify(status: $PropertyType<LoaderState<Result>, 'status'>, error?: ?Error): void {
+        const state: LoaderState<Result> = {status, value: this._value, error: error || null}
+        const listeners: LoaderListener<Result>[] = this._listeners.slice()
+        for (let i = 0, l = listeners.length; i < l; i++) {
+            listeners[i](state)
+        }
+    }
+
+    _settle(value: Result): void {
+        this._version++
+        this._revalidating = null
+        this._result = Promise.resolve(value)
+        this._value = value
+        this._updated = Date.now()
+        this._notify('success')
+    }
+
+    /**
+     * Get cached result freshness.
+     */
+    status(): CacheStatus {
+        if (!this._result) {
+            return 'empty'
+        }
+        if (!this._updated) {
+            return 'pending'
+        }
+        if (this._revalidating) {
+            return 'revalidating'
+        }
+        const age: number = Date.now() - this._updated
+        const maxAge: number = this._responseMaxAge === null || this._responseMaxAge === undefined
+            ? this._maxAge
+            : this._responseMaxAge
+        if (age < maxAge) {
+            return 'fresh'
+        }
+
+        return age < maxAge + this._staleWhileRevalidate ? 'stale' : 'expired'
+    }
+
+    /**
+     * Fetch with own abort controller, which is also aborted by signal of fetcher.
+     */
+    _load(): Promise<Result> {
+        const controller: ?AbortController = createAbortController()
+        this._controller = controller
+        const fetcher: ?IFetcher<Result, *> = this._fetcher
+        const unlink: () => void = linkSignal(
+            fetcher ? (fetcher.options: Object).signal : null,
+            controller
+        )
+
+        return this._loadWith(fetcher, controller ? controller.signal : null)
+            .then(
+                (value: Result) => {
+                    unlink()
+                    return value
+                },
+                (err: Error) => {
+                    unlink()
+                    throw err
+                }
+            )
+    }
+
+    _loadWith(fetcher: ?IFetcher<Result, *>, signal: ?AbortSignal): Promise<Result> {
+        if (!fetcher || (!this._conditional && !this._cacheControl)) {
+            return this._fetch(fetcher, signal)
+        }
+
+        const validators: ?CacheValidators<Result> = this._conditional ? this._validators : null
+        let response: ?Response = null
+        const httpCache: Middleware = (req: IFetcher<*, *>, next: Next) => {
+            const headers: StrDict = {}
+            if (validators && validators.etag) {
+                headers['If-None-Match'] = validators.etag
+            }
+            if (validators && validators.lastModified) {
+                headers['If-Modified-Since'] = validators.lastModified
+            }
+
+            return next(Object.keys(headers).length ? req.copy({headers}) : req)
+                .then((res: Response) => {
+                    response = res
+                    if (validators && res.status === 304) {
+                        throw new NotModifiedError(req.fullUrl)
+                    }
+                    return res
+                })
+        }
+
+        return this._fetch(fetcher.copy({middlewares: [httpCache]}), signal)
+            .then(
+                (value: Result) => this._saveHttpCache(response, value),
+                (err: Error) => {
+                    if (validators && err instanceof NotModifiedError) {
+                        return this._saveHttpCache(response, validators.value, validators)
+                    }
+                    throw err
+                }
+            )
+    }
+
+    _saveHttpCache(
+        response: ?Response,
+        value: Result,
+        previous?: ?CacheValidators<Result>
+    ): Result {
+        const headers: ?Headers = response ? response.headers : null
+        // 304 response refreshes stored response and may omit its headers
+        const cacheControlHeader: ?string = (headers && headers.get('cache-control'))
+            || (previous ? previous.cacheControl : null)
+        const cacheControl: CacheControl = parseCacheControl(
+            this._cacheControl ? cacheControlHeader : null
+        )
+        this._responseMaxAge = cacheControl.noStore || cacheControl.noCache
+            ? 0
+            : cacheControl.maxAge
+        const etag: ?string = (headers && headers.get('etag'))
+            || (previous ? previous.etag : null)
+        const lastModified: ?string = (headers && headers.get('last-modified'))
+            || (previous ? previous.lastModified : null)
+        this._validators = this._conditional && !cacheControl.noStore && (etag || lastModified)
+            ? {etag, lastModified, cacheControl: cacheControlHeader, value}
+            : null
+
+        return value
+    }
+
+    _revalidate(): void {
+        const revalidating: Promise<void> = this._load()
+            .then(
+                (value: Result) => {
+                    if (this._revalidating === revalidating) {
+                        this._settle(value)
+                    }
+                },
+                (err: Error) => {
+                    if (this._revalidating === revalidating) {
+                        this._revalidating = null
+                        this._notify('error', err)
+                    }
+                }
+            )
+
+        this._revalidating = revalidating
+        this._notify('loading')
+    }
+
+    /**
+     * Cache events are emitted only by fetchers with emit method, like Fetcher.
+     */
+    _emit(type: FetchEventType): void {
+        const fetcher: ?Object = this._fetcher
+        if (fetcher && typeof fetcher.emit === 'function') {
+            fetcher.emit(type)
+        }
+    }
+
     fetch(): Promise<Result> {
-        let result: ?Promise<Result> = this._result
-        if (result) {
-            return result
+        const status: CacheStatus = this.status()
+        if (status === 'stale') {
+            this._revalidate()
+        } else if (status === 'expired') {
+            this.reset()
         }
 
-        result = this._fetch(this._fetcher)
-            .catch(this._onError)
+        const cached: ?Promise<Result> = this._result
+        if (cached) {
+            this._emit('cacheHit')
+            return cached
+        }
+        this._emit('cacheMiss')
+
+        const result: Promise<Result> = this._load()
+            .then(
+                (value: Result) => {
+                    if (this._result === result) {
+                        this._version++
+                        this._value = value
+                        this._updated = Date.now()
+                        this._notify('success')
+                    }
+                    return value
+                },
+                (err: Error) => {
+                    if (this._result !== result) {
+                        throw err
+                    }
+                    this._notify('error', err)
+                    return this._onError(err)
+                }
+            )
 
         this._result = result
+        this._notify('loading')
 
         return result
     }
 
-    _fetch(fetcher?: ?IFetcher<Result, *>): Promise<Result> { // eslint-disable-line
+    /**
+     * Optimistic write. If confirm promise rejects, previous result is restored.
+     *
+     * Returned promise resolves with value after confirmation.
+     */
+    set(value: Result, confirm?: ?Promise<mixed>): Promise<Result> {
+        const previous: ?Promise<Result> = this._result
+        const previousValue: ?Result = this._value
+        const previousUpdated: number = this._updated
+        this._settle(value)
+        const version: number = this._version
+        if (!confirm) {
+            return Promise.resolve(value)
+        }
+
+        return confirm.then(
+            () => value,
+            (err: Error) => {
+                if (this._version === version) {
+                    this._version++
+                    this._result = previous
+                    this._value = previousValue
+                    this._updated = previousUpdated
+                    this._notify('error', err)
+                }
+                throw err
+            }
+        )
+    }
+
+    /**
+     * Optimistic write of value, computed from current result.
+     */
+    update(fn: (value: ?Result) => Result, confirm?: ?Promise<mixed>): Promise<Result> {
+        return this.set(fn(this._value), confirm)
+    }
+
+    _fetch(fetcher?: ?IFetcher<Result, *>, signal?: ?AbortSignal): Promise<Result> { // eslint-disable-line
         if (!fetcher) {
             throw new Error('Fetcher is not initialized')
         }
 
-        return fetcher.fetch()
+        return signal ? fetcher.fetch({signal}) : fetcher.fetch()
     }
 
-    reset(): Loader<Result> {
+    /**
+     * Drop cached result and request, which is still queued by scheduler.
+     *
+     * If abort is true - abort in-flight request, its promise rejects with AbortError.
+     */
+    reset(abort?: boolean): Loader<Result> {
+        const controller: ?AbortController = this._controller
+        if (controller && (abort || isQueued(controller.signal))) {
+            controller.abort()
+        }
+        this._controller = null
         this._result = null
+        this._value = null
+        this._revalidating = null
+        this._updated = 0
+        this._responseMaxAge = null
+        this._version++
+        return this
+    }
+
+    /**
+     * Get settled not expired result, null if nothing to serialize.
+     */
+    dehydrate(): ?LoaderSnapshot<Result> {
+        const status: CacheStatus = this.status()
+        if (status === 'empty' || status === 'pending' || status === 'expired') {
+            return null
+        }
+
+        return {value: (this._value: any), updated: this._updated}
+    }
+
+    /**
+     * Seed loader with result, fetched elsewhere.
+     */
+    hydrate(snapshot: LoaderSnapshot<Result>): Loader<Result> {
+        this.reset()
+        this._settle(snapshot.value)
+        this._updated = snapshot.updated
         return this
     }
 }
 
+/**
+ * Loader, which fetches its item by id via shared Batcher.
+ */
+export class BatchLoader<Result> extends Loader<Result> {
+    _batcher: Batcher
+    _id: string
+
+    constructor(batcher: Batcher, id: string, rec?: LoaderRec) {
+        super(undefined, rec)
+        this._batcher = batcher
+        this._id = id
+    }
+
+    _fetch(fetcher?: ?IFetcher<Result, *>, signal?: ?AbortSignal): Promise<Result> { // eslint-disable-line
+        return this._batcher.load(this._id, signal)
+    }
+}
+
 function defaultGetKey(rec: FetcherRec<*>): string {
     const params: {[id: string]: string} = rec.params || {}
     return Object.keys(params).sort().map((key: string) => `${key}:${params[key]}`).join('.')
@@ -361,11 +1137,27 @@ function defaultGetKey(rec: FetcherRec<*>): string {
  */
 export class Fetcher<Result, Params: Object> {
     _baseUrl: string
-    _serializeParams: ?SerializeParams
+    _serializeParams: SerializeParams
     _url: string
     _params: ?Params
     _fetchFn: FetchFn
     _setHeaders: boolean
+    _retry: ?RetryRec
+    _timeout: number
+    _middlewares: Middleware[]
+    _hasPreProcess: boolean
+    _deduper: ?Deduper
+    _scheduler: ?Scheduler
+    _priority: number
+    _circuitBreaker: ?CircuitBreaker
+    _validate: ?Validate
+    _validator: ?(value: mixed) => ValidationIssue[]
+    _validateMode: ValidateMode
+    _onValidationWarning: (err: ValidationError) => void
+    _onDownloadProgress: ?OnProgress
+    _encoders: BodyEncoders
+    _hooks: Hooks[]
+    _correlationHeader: ?string
 
     /**
      * Request options.
@@ -379,46 +1171,71 @@ export class Fetcher<Result, Params: Object> {
 
     postProcess: (req: Promise<Response>) => Promise<Result>
 
-    preProcess: ?Preprocess<Result, Params>;
-
     constructor(rec?: FetcherRec<Params> = {}) {
         this._baseUrl = rec.baseUrl || '/'
-        this._serializeParams = rec.serializeParams
+        this._serializeParams = rec.serializeParams || createSerializeParams()
         this._params = rec.params || null
         this._url = rec.url || ''
         this.postProcess = rec.postProcess || pass
         this._fetchFn = rec.fetchFn || (typeof fetch === 'undefined' ? pass : fetch)
-        this.preProcess = rec.preProcess || null
+        this._middlewares = rec.preProcess
+            ? (rec.middlewares || []).concat(createPreProcessMiddleware(rec.preProcess))
+            : rec.middlewares || []
+        this._hasPreProcess = this._middlewares
+            .some((middleware: Middleware) => preProcessMiddlewares.has(middleware))
         this._setHeaders = rec.setHeaders || false
+        this._retry = rec.retry || null
+        this._timeout = rec.timeout || 0
+        this._deduper = createDeduper(rec.dedupe)
+        this._scheduler = createScheduler(rec.scheduler)
+        this._priority = rec.priority || 0
+        this._circuitBreaker = createCircuitBreaker(rec.circuitBreaker)
+        this._validate = rec.validate || null
+        this._validator = rec.validate ? createValidator(rec.validate) : null
+        this._validateMode = rec.validateMode || 'strict'
+        this._onValidationWarning = rec.onValidationWarning || defaultValidationWarning
+        this._onDownloadProgress = rec.onDownloadProgress || null
+        this._encoders = rec.encoders ? {...defaultEncoders, ...rec.encoders} : defaultEncoders
+        this._hooks = rec.hooks ? [].concat(rec.hooks) : []
+        this._correlationHeader = rec.correlationHeader === undefined
+            ? 'X-Correlation-ID'
+            : rec.correlationHeader
         let headers: HeadersInit = rec.headers || {}
 
-        let isPlainObject: boolean = false
         const body = rec.body
+        let encodedBody: any = body
         if (body && typeof body === 'object') {
             const isUrlSearchParams: boolean = isURLSearchParams(body)
-            isPlainObject =
+            const isPlainObject: boolean =
                 !isFormData(body)
                 && !isBlob(body)
                 && !isUrlSearchParams
             if (isUrlSearchParams || isPlainObject) {
-                const ctxType: string = isUrlSearchParams
-                    ? 'application/x-www-form-urlencoded;charset=utf-8'
-                    : 'application/json'
+                const ctxType: string = headersToObject(headers)['content-type'] || (
+                    isUrlSearchParams
+                        ? 'application/x-www-form-urlencoded;charset=utf-8'
+                        : 'application/json'
+                )
 
                 if (typeof Headers !== 'undefined' && headers instanceof Headers) {
                     if (!headers.has('Content-Type')) {
                         headers = new Headers(headers)
                         headers.set('Content-Type', ctxType)
                     }
-                } else if (headers && !(headers: Object)['Content-Type']) {
+                } else if (headers && !headersToObject(headers)['content-type']) {
                     headers = ({...headers}: Object)
                     ;(headers: Object)['Content-Type'] = ctxType
                 }
+                if (isPlainObject) {
+                    const encoder: BodyEncoder = findEncoder(this._encoders, ctxType)
+                        || defaultEncoders['application/json']
+                    encodedBody = encoder(body)
+                }
             }
         }
 
         const options: RequestOptions = {
-            body: isPlainObject && body ? JSON.stringify(body) : body,
+            body: encodedBody,
             headers
         }
         if (rec.cache) options.cache = rec.cache
@@ -429,14 +1246,24 @@ export class Fetcher<Result, Params: Object> {
         if (rec.redirect) options.redirect = rec.redirect
         if (rec.referrer) options.referrer = rec.referrer
         if (rec.referrerPolicy) options.referrerPolicy = rec.referrerPolicy
+        if (rec.signal) (options: Object).signal = rec.signal
+        if (rec.onUploadProgress) (options: Object).onUploadProgress = rec.onUploadProgress
 
         this.options = options
 
-        if (this._params) {
-            if (!this._serializeParams) {
-                throw new TypeError('params exists, but no serializeParams method provided')
+        const serializeParams: SerializeParams = this._serializeParams
+        const params: ?Params = this._params
+        if (params) {
+            const origin: string = getUrlOrigin(this._baseUrl)
+            const baseTemplate: UrlTemplate = compileTemplate(
+                this._baseUrl.substring(origin.length)
+            )
+            if (baseTemplate.names.length) {
+                const {url: basePath, rest} = baseTemplate.build(params)
+                this.fullUrl = origin + basePath + serializeParams(this._url, rest)
+            } else {
+                this.fullUrl = this._baseUrl + serializeParams(this._url, params)
             }
-            this.fullUrl = this._baseUrl + this._serializeParams(this._url, this._params)
         } else {
             this.fullUrl = this._baseUrl + this._url
         }
@@ -447,6 +1274,7 @@ export class Fetcher<Result, Params: Object> {
      *
      * Headers will be merged with existing headers.
      * postProcessors will be composed with existing postProcessors.
+     * middlewares and preProcess will be added to existing middlewares.
      */
     copy<R, P: Object>(rec: FetcherRec<any>): IFetcher<R, P> {
         const headers: ?HeadersInit = this.options.headers
@@ -454,9 +1282,32 @@ export class Fetcher<Result, Params: Object> {
             baseUrl: rec.baseUrl || this._baseUrl,
             serializeParams: this._serializeParams,
             url: this._url,
+            fetchFn: this._fetchFn,
             ...this.options,
             ...rec,
-            preProcess: rec.preProcess || this.preProcess,
+            preProcess: rec.preProcess,
+            middlewares: rec.middlewares
+                ? this._middlewares.concat(rec.middlewares)
+                : this._middlewares,
+            retry: rec.retry === undefined ? this._retry : rec.retry,
+            timeout: rec.timeout === undefined ? this._timeout : rec.timeout,
+            dedupe: rec.dedupe === undefined ? this._deduper : rec.dedupe,
+            scheduler: rec.scheduler === undefined ? this._scheduler : rec.scheduler,
+            priority: rec.priority === undefined ? this._priority : rec.priority,
+            circuitBreaker: rec.circuitBreaker === undefined
+                ? this._circuitBreaker
+                : rec.circuitBreaker,
+            validate: rec.validate === undefined ? this._validate : rec.validate,
+            validateMode: rec.validateMode || this._validateMode,
+            onValidationWarning: rec.onValidationWarning || this._onValidationWarning,
+            encoders: rec.encoders ? {...this._encoders, ...rec.encoders} : this._encoders,
+            hooks: rec.hooks ? this._hooks.concat(rec.hooks) : this._hooks,
+            correlationHeader: rec.correlationHeader === undefined
+                ? this._correlationHeader
+                : rec.correlationHeader,
+            onDownloadProgress: rec.onDownloadProgress === undefined
+                ? this._onDownloadProgress
+                : rec.onDownloadProgress,
             postProcess: rec.postProcess
                 ? compose(this.postProcess, rec.postProcess)
                 : this.postProcess,
@@ -473,60 +1324,581 @@ export class Fetcher<Result, Params: Object> {
         }): any)
     }
 
-    _fetch(f: IFetcher<Result, Params>): Promise<Result> {
-        return f.postProcess(this._fetchFn.call(null, f.fullUrl, f.options))
+    /**
+     * Last middleware, dedupes request.
+     */
+    _send(req: IFetcher<*, *>, ctx: RequestContext): Promise<Response> {
+        return this._deduper
+            ? this._deduper.run(req, (r: IFetcher<*, *>) => this._request(r, ctx))
+            : this._request(req, ctx)
+    }
+
+    /**
+     * Call fetchFn with correlation header, circuit breaker, scheduler, retry, timeout
+     * and download progress.
+     */
+    _request(req: IFetcher<*, *>, ctx: RequestContext): Promise<Response> {
+        const scheduler: ?Scheduler = this._scheduler
+        const send: FetchFn = (url: string, options: RequestOptions) =>
+            abortableFetch(this._fetchFn, this._timeout, url, options)
+        const fetchFn: FetchFn = scheduler
+            ? (url: string, options: RequestOptions) => scheduler.run(
+                url,
+                this._priority,
+                (options: Object).signal,
+                () => send(url, options)
+            )
+            : send
+        const header: ?string = this._correlationHeader
+        const id: ?string = ctx.id
+        const options: RequestOptions = id && header
+            ? {...req.options, headers: mergeHeaders(true, req.options.headers, {[header]: id})}
+            : req.options
+        const onRetry: ?OnRetry = id
+            ? this._createOnRetry(ctx)
+            : null
+        const retry: ?RetryRec = this._retry
+        const sendWithRetry = (r: IFetcher<*, *>): Promise<Response> => (retry
+            ? retryFetch(retry, fetchFn, r.fullUrl, options, onRetry)
+            : fetchFn(r.fullUrl, options)
+        )
+        const response: Promise<Response> = this._circuitBreaker
+            ? this._circuitBreaker.run(req, sendWithRetry)
+            : sendWithRetry(req)
+        const onDownloadProgress: ?OnProgress = this._onDownloadProgress
+
+        return onDownloadProgress
+            ? response.then((r: Response) => trackDownloadProgress(r, onDownloadProgress))
+            : response
+    }
+
+    _dispatch(index: number, req: IFetcher<*, *>, ctx: RequestContext): Promise<Response> {
+        if (index >= this._middlewares.length) {
+            return this._send(req, ctx)
+        }
+        const middleware: Middleware = this._middlewares[index]
+        const isPreProcess: boolean = preProcessMiddlewares.has(middleware)
+
+        try {
+            return middleware(
+                req,
+                (nextReq: IFetcher<*, *>) => {
+                    if (isPreProcess) {
+                        ctx.preprocess(nextReq)
+                    }
+                    return this._dispatch(index + 1, nextReq, ctx)
+                }
+            )
+        } catch (err) {
+            return Promise.reject(err)
+        }
+    }
+
+    /**
+     * Extract params from url by baseUrl and url templates, null if url does not match.
+     *
+     * @example
+     * ```js
+     * // @flow
+     * new Fetcher({baseUrl: '/api', url: '/user/:id'}).match('/api/user/1?q=2') // {id: '1'}
+     * ```
+     */
+    match(url: string): ?StrDict {
+        const origin: string = getUrlOrigin(this._baseUrl)
+        if (url.substring(0, origin.length) !== origin) {
+            return null
+        }
+
+        return compileTemplate(this._baseUrl.substring(origin.length) + this._url)
+            .match(url.substring(origin.length))
+    }
+
+    _validateResult: (result: Result) => Result = (result: Result) => {
+        const issues: ValidationIssue[] = this._validator ? this._validator(result) : []
+        if (!issues.length) {
+            return result
+        }
+        const err = new ValidationError(this.fullUrl, this.options.method || 'GET', issues)
+        if (this._validateMode !== 'warn') {
+            throw err
+        }
+        this._onValidationWarning(err)
+
+        return result
     }
 
     fetch(rec?: FetcherRec<*>): Promise<Result> {
-        const opts: IFetcher<Result, Params> = rec
-            ? this.copy(rec)
-            : this
+        if (rec) {
+            return this.copy(rec).fetch()
+        }
+        const ctx: RequestContext = new RequestContext(
+            this._hooks.length ? createCorrelationId() : null
+        )
+        if (!ctx.id) {
+            return this._process(this._dispatch(0, this, ctx), ctx)
+        }
+
+        this.emit('request', {id: ctx.id})
+        const response: Promise<Response> = this._dispatch(0, this, ctx)
+            .then((r: Response) => {
+                ctx.status = r ? r.status : null
+                return r
+            })
+
+        return this._process(response, ctx).then(
+            (result: Result) => {
+                this.emit('response', {
+                    id: ctx.id,
+                    status: ctx.status,
+                    duration: Date.now() - ctx.start
+                })
+                return result
+            },
+            (error: Error) => {
+                if (error instanceof NotModifiedError) {
+                    this.emit('response', {
+                        id: ctx.id,
+                        status: 304,
+                        duration: Date.now() - ctx.start
+                    })
+                    throw error
+                }
+                this.emit('error', {
+                    id: ctx.id,
+                    status: ctx.status || (error: Object).status,
+                    duration: Date.now() - ctx.start,
+                    error
+                })
+                throw error
+            }
+        )
+    }
+
+    /**
+     * Standard whatwg Request from fullUrl and options.
+     */
+    toRequest(): Request {
+        return new Request(this.fullUrl, this.options)
+    }
+
+    /**
+     * Copy-pasteable curl command.
+     */
+    toCurl(): string {
+        return requestToCurl(this.fullUrl, this.options)
+    }
+
+    /**
+     * Serializable method, url, headers and body.
+     */
+    toJSON(): RequestJSON {
+        return requestToJSON(this.fullUrl, this.options)
+    }
+
+    _createOnRetry(ctx: RequestContext): OnRetry {
+        return (attempt: number, error: Error) => this.emit('retry', {
+            id: ctx.id,
+            status: (error: Object).status,
+            duration: Date.now() - ctx.start,
+            attempt,
+            error
+        })
+    }
+
+    /**
+     * Apply postProcess of fetcher, returned by preProcess, if any, and validate result.
+     */
+    _process(response: Promise<Response>, ctx: RequestContext): Promise<Result> {
+        const postProcess = (r: Promise<Response>): Promise<Result> => (ctx.preprocessed
+            ? ctx.preprocessed.postProcess(r)
+            : this.postProcess(r)
+        )
+        const result: Promise<Result> = this._hasPreProcess
+            ? response.then(
+                (r: Response) => postProcess(Promise.resolve(r)),
+                (err: Error) => postProcess(Promise.reject(err))
+            )
+            : this.postProcess(response)
+
+        return this._validator
+            ? result.then(this._validateResult)
+            : result
+    }
 
-        return this.preProcess
-            ? this.preProcess(opts).then((f: IFetcher<Result, Params>) => this._fetch(f))
-            : this._fetch(opts)
+    emit(type: FetchEventType, rec?: FetchEventRec = {}): void {
+        if (!this._hooks.length) {
+            return
+        }
+        emitEvent(this._hooks, {
+            type,
+            id: rec.id || createCorrelationId(),
+            method: (this.options.method || 'GET').toUpperCase(),
+            fullUrl: this.fullUrl,
+            route: this._baseUrl + this._url,
+            status: rec.status || null,
+            duration: rec.duration === undefined ? null : rec.duration,
+            attempt: rec.attempt || null,
+            error: rec.error || null
+        })
     }
 }
 
 if (0) ((new Fetcher(...(0: any))): IFetcher<*, *>) // eslint-disable-line
 
+export type GetKey = (params: FetcherRec<*>) => string
+
+/**
+ * Loader factory, receives base fetcher copy with FetcherRec applied.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * function createLoader<R>(fetcher: IFetcher<R, *>, rec: FetcherRec<*>): Loader<R> {
+ *     return new UserLoader(fetcher)
+ * }
+ * ```
+ */
+export type CreateLoader<Result> = (
+    fetcher: IFetcher<Result, *>,
+    rec: FetcherRec<*>,
+    loaderRec: LoaderRec
+) => Loader<Result>
+
+export type RepositoryRec<Result> = LoaderRec & {
+    /**
+     * Custom loader factory, default creates Loader.
+     */
+    createLoader?: ?CreateLoader<Result>;
+
+    /**
+     * Max cached loaders count, least recently used loaders are evicted.
+     * Subscribed loaders are not counted.
+     */
+    maxEntries?: ?number;
+
+    /**
+     * Collect ids of loaders, fetched within one tick, into one batch request.
+     * createLoader is not used in batch mode.
+     */
+    batch?: ?BatchRec;
+}
+
+function defaultCreateLoader<Result>(
+    fetcher: IFetcher<Result, *>,
+    rec: FetcherRec<*>,
+    loaderRec: LoaderRec
+): Loader<Result> {
+    return new Loader(fetcher, loaderRec)
+}
+
+/**
+ * Repository entry predicate by key and params of first fetch.
+ */
+export type EntryMatch = (key: string, params: ?Object) => boolean
+
+export type RepositorySnapshotEntry<Result> = LoaderSnapshot<Result> & {
+    key: string;
+    params: ?Object;
+}
+
+export type RepositorySnapshot<Result> = {
+    entries: RepositorySnapshotEntry<Result>[];
+}
+
+/**
+ * Loaders cache by key
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const repository = new Repository(userFetcher)
+ * repository.fetch({params: {id: '1'}})
+ * ```
+ */
 export class Repository<Result> {
     _loaders: Map<string, Loader<Result>>;
-    _getKey: (params: FetcherRec<*>) => string;
+    _getKey: GetKey;
+    _fetcher: ?IFetcher<Result, *>;
+    _createLoader: CreateLoader<Result>;
+    _loaderRec: LoaderRec;
+    _maxEntries: number;
+    _batcher: ?Batcher;
+    _params: Map<string, ?Object>;
+    _seeds: Map<string, RepositorySnapshotEntry<Result>>;
 
+    /**
+     * Legacy signature `new Repository(getKey)` is supported.
+     */
     constructor(
-        getKey?: ?(params: FetcherRec<*>) => string
+        fetcher?: ?(IFetcher<Result, *> | GetKey),
+        getKey?: ?GetKey,
+        rec?: RepositoryRec<Result> = {}
     ) {
         this._loaders = new Map()
-        this._getKey = getKey || defaultGetKey
+        this._params = new Map()
+        this._seeds = new Map()
+        if (typeof fetcher === 'function') {
+            this._fetcher = null
+            this._getKey = fetcher
+        } else {
+            this._fetcher = fetcher || null
+            this._getKey = getKey || defaultGetKey
+        }
+        this._createLoader = rec.createLoader || defaultCreateLoader
+        this._loaderRec = {
+            maxAge: rec.maxAge,
+            staleWhileRevalidate: rec.staleWhileRevalidate,
+            conditional: rec.conditional,
+            cacheControl: rec.cacheControl
+        }
+        this._maxEntries = rec.maxEntries || Infinity
+        this._batcher = rec.batch ? new Batcher(rec.batch) : null
     }
 
-    fetch(params: FetcherRec<*>): Promise<Result> {
+    _newLoader(params: FetcherRec<*>): Loader<Result> {
+        const batcher: ?Batcher = this._batcher
+        return batcher
+            ? new BatchLoader(batcher, batcher.getId(params), this._loaderRec)
+            : this._createLoader(this._createFetcher(params), params, this._loaderRec)
+    }
+
+    _createFetcher(params: FetcherRec<*>): IFetcher<Result, *> {
+        return this._fetcher
+            ? this._fetcher.copy(params)
+            : new Fetcher(params)
+    }
+
+    _getLoader(params: FetcherRec<*>): Loader<Result> {
         const key: string = this._getKey(params)
         let loader: ?Loader<Result> = this._loaders.get(key)
-        if (!loader) {
-            loader = new Loader(new Fetcher(params))
-            this._loaders.set(key, loader)
+        if (loader) {
+            // Map keeps insertion order: move recently used key to the end
+            this._loaders.delete(key)
+        } else {
+            loader = this._newLoader(params)
+            this._params.set(key, params.params)
+            const seed: ?RepositorySnapshotEntry<Result> = this._seeds.get(key)
+            if (seed) {
+                this._seeds.delete(key)
+                loader.hydrate({value: seed.value, updated: seed.updated})
+            }
         }
+        this._loaders.set(key, loader)
+        this._evict()
 
-        return loader.fetch()
+        return loader
     }
 
-    _clearAll: (loader: Loader<Result>) => void = (loader: Loader<Result>) => {
-        loader.reset()
-    };
+    fetch(params: FetcherRec<*>): Promise<Result> {
+        return this._getLoader(params).fetch()
+    }
 
-    reset(params?: FetcherRec<*>): Repository<Result> {
+    /**
+     * Subscribe to loader states by params, returns unsubscribe function.
+     *
+     * Subscribed loaders are not counted in maxEntries and not evicted.
+     */
+    subscribe(params: FetcherRec<*>, listener: LoaderListener<Result>): () => void {
+        return this._getLoader(params).subscribe(listener)
+    }
+
+    /**
+     * Optimistic write by params, see Loader.set.
+     */
+    set(params: FetcherRec<*>, value: Result, confirm?: ?Promise<mixed>): Promise<Result> {
+        return this._getLoader(params).set(value, confirm)
+    }
+
+    /**
+     * Optimistic write by params, see Loader.update.
+     */
+    update(
+        params: FetcherRec<*>,
+        fn: (value: ?Result) => Result,
+        confirm?: ?Promise<mixed>
+    ): Promise<Result> {
+        return this._getLoader(params).update(fn, confirm)
+    }
+
+    _evict(): void {
+        // Subscribed loaders are not counted and not evicted
+        let size: number = 0
+        this._loaders.forEach((loader: Loader<Result>) => {
+            if (!loader.hasListeners()) {
+                size++
+            }
+        })
+        const keys: Iterator<string> = this._loaders.keys()
+        while (size > this._maxEntries) {
+            const key: string = (keys.next().value: any)
+            const loader: ?Loader<Result> = this._loaders.get(key)
+            if (loader && !loader.hasListeners()) {
+                loader.reset()
+                this._loaders.delete(key)
+                this._params.delete(key)
+                size--
+            }
+        }
+    }
+
+    /**
+     * Get cached result freshness by params.
+     */
+    status(params: FetcherRec<*>): CacheStatus {
+        const key: string = this._getKey(params)
+        const loader: ?Loader<Result> = this._seeds.has(key)
+            ? this._getLoader(params)
+            : this._loaders.get(key)
+
+        return loader ? loader.status() : 'empty'
+    }
+
+    /**
+     * Reset loader by params or all loaders.
+     *
+     * If abort is true - abort in-flight requests.
+     */
+    reset(params?: ?FetcherRec<*>, abort?: boolean): Repository<Result> {
         if (!params) {
-            this._loaders.forEach(this._clearAll)
+            this._seeds.clear()
+            this._loaders.forEach((loader: Loader<Result>) => {
+                loader.reset(abort)
+            })
             return this
         }
 
-        const loader: ?Loader<Result> = this._loaders.get(this._getKey(params))
+        const key: string = this._getKey(params)
+        this._seeds.delete(key)
+        const loader: ?Loader<Result> = this._loaders.get(key)
         if (loader) {
-            loader.reset()
+            loader.reset(abort)
+        }
+
+        return this
+    }
+
+    _where(match: EntryMatch, fn: (loader: Loader<Result>) => boolean): number {
+        let count: number = 0
+        this._loaders.forEach((loader: Loader<Result>, key: string) => {
+            if (match(key, this._params.get(key)) && fn(loader)) {
+                count++
+            }
+        })
+
+        return count
+    }
+
+    _whereSeeds(
+        match: EntryMatch,
+        fn: (seed: RepositorySnapshotEntry<Result>) => ?RepositorySnapshotEntry<Result>
+    ): number {
+        let count: number = 0
+        this._seeds.forEach((seed: RepositorySnapshotEntry<Result>, key: string) => {
+            if (match(key, seed.params)) {
+                const next: ?RepositorySnapshotEntry<Result> = fn(seed)
+                if (next) {
+                    this._seeds.set(key, next)
+                } else {
+                    this._seeds.delete(key)
+                }
+                count++
+            }
+        })
+
+        return count
+    }
+
+    /**
+     * Reset loaders, matched by key or params. Returns matched loaders count.
+     */
+    resetWhere(match: EntryMatch, abort?: boolean): number {
+        const seeds: number = this._whereSeeds(match, () => null)
+
+        return seeds + this._where(match, (loader: Loader<Result>) => {
+            loader.reset(abort)
+            return true
+        })
+    }
+
+    /**
+     * Write new value into matched not empty loaders. Returns updated loaders count.
+     */
+    updateWhere(match: EntryMatch, fn: (value: ?Result) => Result): number {
+        const seeds: number = this._whereSeeds(
+            match,
+            (seed: RepositorySnapshotEntry<Result>) => ({...seed, value: fn(seed.value)})
+        )
+
+        return seeds + this._where(match, (loader: Loader<Result>) => {
+            if (loader.status() === 'empty') {
+                return false
+            }
+            loader.update(fn)
+            return true
+        })
+    }
+
+    /**
+     * Get json-serializable snapshot of settled results, for example to pass SSR data to client.
+     */
+    dehydrate(): RepositorySnapshot<Result> {
+        const entries: RepositorySnapshotEntry<Result>[] = []
+        this._loaders.forEach((loader: Loader<Result>, key: string) => {
+            const snapshot: ?LoaderSnapshot<Result> = loader.dehydrate()
+            if (snapshot) {
+                entries.push({
+                    key,
+                    params: this._params.get(key) || null,
+                    value: snapshot.value,
+                    updated: snapshot.updated
+                })
+            }
+        })
+        this._seeds.forEach((seed: RepositorySnapshotEntry<Result>) => {
+            entries.push(seed)
+        })
+
+        return {entries}
+    }
+
+    /**
+     * Seed loaders from snapshot. Loaders with results are not overwritten.
+     *
+     * Without base fetcher loader is created from seed on first use by params,
+     * because snapshot params are not enough to build fetcher.
+     */
+    hydrate(snapshot: RepositorySnapshot<Result>): Repository<Result> {
+        const entries: RepositorySnapshotEntry<Result>[] = snapshot.entries
+        for (let i = 0, l = entries.length; i < l; i++) {
+            const entry: RepositorySnapshotEntry<Result> = entries[i]
+            const rec: FetcherRec<*> = entry.params ? {params: entry.params} : {}
+            let loader: ?Loader<Result> = this._loaders.get(entry.key)
+            if (!loader && !this._fetcher && !this._batcher) {
+                this._seeds.set(entry.key, entry)
+            } else if (!loader || loader.status() === 'empty') {
+                loader = loader || this._newLoader(rec)
+                loader.hydrate({value: entry.value, updated: entry.updated})
+                this._loaders.delete(entry.key)
+                this._loaders.set(entry.key, loader)
+                this._params.set(entry.key, entry.params)
+            }
         }
+        this._evict()
 
         return this
     }
+
+    /**
+     * Save snapshot to storage.
+     */
+    persist(storage: StorageAdapter, key: string): Promise<void> {
+        return storage.set(key, this.dehydrate())
+    }
+
+    /**
+     * Hydrate from storage snapshot, if it exists.
+     */
+    restore(storage: StorageAdapter, key: string): Promise<Repository<Result>> {
+        return storage.get(key).then((snapshot: any) => (snapshot ? this.hydrate(snapshot) : this))
+    }
 }
@@ -0,0 +1,120 @@
+/* @flow */
+import type {FetchEvent, Hooks} from './hooks'
+
+export type MetricsRec = {
+    /**
+     * Latency histogram bucket upper bounds in ms, ascending.
+     */
+    buckets?: number[];
+}
+
+export type RouteMetrics = {
+    count: number;
+    errors: number;
+
+    /**
+     * Response count by status code.
+     */
+    statuses: {[status: string]: number};
+
+    /**
+     * Request count by bucket upper bound, same order as buckets.
+     */
+    histogram: number[];
+    min: number;
+    max: number;
+    sum: number;
+}
+
+/**
+ * Metrics by route key: `${method} ${route}`.
+ */
+export type MetricsSnapshot = {[key: string]: RouteMetrics}
+
+const defaultBuckets: number[] = [50, 100, 250, 500, 1000, 2500, 5000, Infinity]
+
+/**
+ * In-memory per-route latency histograms and error counts.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const metrics = new MetricsCollector()
+ * const fetcher = new Fetcher({hooks: metrics.hooks})
+ * metrics.snapshot()['GET /user/:id'].histogram
+ * ```
+ */
+export class MetricsCollector {
+    _buckets: number[]
+    _routes: Map<string, RouteMetrics> = new Map()
+    hooks: Hooks
+
+    constructor(rec?: MetricsRec = {}) {
+        this._buckets = rec.buckets || defaultBuckets
+        this.hooks = {
+            onResponse: (event: FetchEvent) => this._record(event, false),
+            onError: (event: FetchEvent) => this._record(event, true)
+        }
+    }
+
+    _getRoute(key: string): RouteMetrics {
+        let metrics: ?RouteMetrics = this._routes.get(key)
+        if (!metrics) {
+            metrics = {
+                count: 0,
+                errors: 0,
+                statuses: {},
+                histogram: this._buckets.map(() => 0),
+                min: Infinity,
+                max: 0,
+                sum: 0
+            }
+            this._routes.set(key, metrics)
+        }
+
+        return metrics
+    }
+
+    _record(event: FetchEvent, isError: boolean): void {
+        const metrics: RouteMetrics = this._getRoute(`${event.method} ${event.route}`)
+        const duration: number = event.duration || 0
+        metrics.count++
+        if (isError) {
+            metrics.errors++
+        }
+        if (event.status) {
+            const status: string = String(event.status)
+            metrics.statuses[status] = (metrics.statuses[status] || 0) + 1
+        }
+        const buckets: number[] = this._buckets
+        for (let i = 0, l = buckets.length; i < l; i++) {
+            if (duration <= buckets[i]) {
+                metrics.histogram[i]++
+                break
+            }
+        }
+        metrics.min = Math.min(metrics.min, duration)
+        metrics.max = Math.max(metrics.max, duration)
+        metrics.sum += duration
+    }
+
+    /**
+     * Copy of collected metrics.
+     */
+    snapshot(): MetricsSnapshot {
+        const result: MetricsSnapshot = {}
+        this._routes.forEach((metrics: RouteMetrics, key: string) => {
+            result[key] = {
+                ...metrics,
+                statuses: {...metrics.statuses},
+                histogram: metrics.histogram.slice()
+            }
+        })
+
+        return result
+    }
+
+    reset(): void {
+        this._routes.clear()
+    }
+}
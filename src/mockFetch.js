@@ -0,0 +1,530 @@
+/* @flow */
+import type {FetchFn, StrDict} from './index'
+import {headersToObject} from './headers'
+import {compileTemplate, escapeRegExp} from './template'
+import {parseQuery} from './query'
+
+/**
+ * Normalized request, passed to route matchers and response factories.
+ */
+export type MockRequest = {
+    method: string;
+    url: string;
+    path: string;
+    query: StrDict;
+    headers: StrDict;
+    body: ?string;
+
+    /**
+     * Values of url template placeholders.
+     */
+    params: StrDict;
+}
+
+export type MockResponseRec = {
+    status?: number;
+    statusText?: string;
+    headers?: StrDict;
+
+    /**
+     * Objects are serialized to json.
+     */
+    body?: mixed;
+
+    /**
+     * Response delay in ms.
+     */
+    delay?: number;
+}
+
+export type MockResponder = MockResponseRec | (req: MockRequest) => MockResponseRec
+
+export type MockRoute = {
+    /**
+     * Default - any method.
+     */
+    method?: ?string;
+
+    /**
+     * Url template with placeholders like `:id`.
+     *
+     * @example /api/user/:id
+     */
+    url: string;
+
+    /**
+     * Query values, request must contain.
+     */
+    query?: ?StrDict;
+
+    /**
+     * Request body: exact string, object compared with json body or predicate.
+     */
+    body?: ?(string | Object | (body: ?string) => boolean);
+}
+
+export type Exchange = {
+    request: {
+        method: string;
+        url: string;
+        headers: StrDict;
+        body: ?string;
+    };
+    response: {
+        status: number;
+        statusText: string;
+        headers: StrDict;
+        body: string;
+    };
+}
+
+export type MockFetchRec = {
+    /**
+     * mock - serve registered routes, default.
+     * record - pass requests to fetchFn and save exchanges.
+     * replay - serve saved exchanges.
+     */
+    mode?: 'mock' | 'record' | 'replay';
+
+    /**
+     * Real fetch function for record mode.
+     */
+    fetchFn?: ?FetchFn;
+
+    /**
+     * Fixture file path or exchanges list for replay mode, file path for record mode.
+     */
+    fixtures?: ?(string | Exchange[]);
+
+    /**
+     * Placeholder RegExp, same as in createSerializeParams.
+     *
+     * Default - url templates with optional, constrained and wildcard placeholders.
+     */
+    placeholderRegExp?: ?RegExp;
+}
+
+type CompiledRoute = {
+    route: MockRoute;
+    match: (path: string) => ?StrDict;
+    response: MockResponder;
+    calls: MockRequest[];
+}
+
+class MockHeaders {
+    _map: StrDict
+
+    constructor(headers: StrDict) {
+        this._map = {}
+        const keys: string[] = Object.keys(headers)
+        for (let i = 0, l = keys.length; i < l; i++) {
+            this._map[keys[i].toLowerCase()] = headers[keys[i]]
+        }
+    }
+
+    get(name: string): ?string {
+        const value: ?string = this._map[name.toLowerCase()]
+        return value === undefined ? null : value
+    }
+
+    has(name: string): boolean {
+        return this._map[name.toLowerCase()] !== undefined
+    }
+
+    forEach(fn: (value: string, name: string) => void): void {
+        const keys: string[] = Object.keys(this._map)
+        for (let i = 0, l = keys.length; i < l; i++) {
+            fn(this._map[keys[i]], keys[i])
+        }
+    }
+}
+
+/**
+ * Minimal whatwg Response implementation: status, headers, text, json and clone.
+ */
+export class MockResponse {
+    status: number
+    statusText: string
+    ok: boolean
+    url: string
+    headers: MockHeaders
+    bodyUsed: boolean = false
+    _body: string
+
+    constructor(url: string, rec: MockResponseRec) {
+        const body: mixed = rec.body
+        const headers: StrDict = {...rec.headers || {}}
+        if (body !== null && body !== undefined && typeof body !== 'string') {
+            this._body = JSON.stringify(body)
+            if (!Object.keys(headers).some((name: string) => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json'
+            }
+        } else {
+            this._body = body || ''
+        }
+        this.url = url
+        this.status = rec.status || 200
+        this.statusText = rec.statusText || String(this.status)
+        this.ok = this.status >= 200 && this.status < 300
+        this.headers = new MockHeaders(headers)
+    }
+
+    text(): Promise<string> {
+        if (this.bodyUsed) {
+            return Promise.reject(new TypeError('Body has already been consumed'))
+        }
+        this.bodyUsed = true
+        return Promise.resolve(this._body)
+    }
+
+    json(): Promise<any> {
+        return this.text().then((text: string) => JSON.parse(text))
+    }
+
+    clone(): MockResponse {
+        const headers: StrDict = {}
+        this.headers.forEach((value: string, name: string) => {
+            headers[name] = value
+        })
+
+        return new MockResponse(this.url, {
+            status: this.status,
+            statusText: this.statusText,
+            headers,
+            body: this._body
+        })
+    }
+}
+
+function createRequest(url: string, options: RequestOptions): MockRequest {
+    const queryIndex: number = url.indexOf('?')
+    const body: mixed = options.body
+
+    return {
+        method: (options.method || 'GET').toUpperCase(),
+        url,
+        path: queryIndex === -1 ? url : url.substring(0, queryIndex),
+        query: queryIndex === -1 ? {} : parseQuery(url.substring(queryIndex + 1)),
+        headers: headersToObject(options.headers),
+        body: typeof body === 'string' ? body : null,
+        params: {}
+    }
+}
+
+function compileRegExpTemplate(
+    template: string,
+    placeholderRegExp: RegExp
+): (path: string) => ?StrDict {
+    const names: string[] = []
+    const re: RegExp = new RegExp(placeholderRegExp.source, 'g')
+    let source: string = ''
+    let pos: number = 0
+    let match: ?string[] = re.exec(template)
+    while (match) {
+        const index: number = (match: any).index
+        source += escapeRegExp(template.substring(pos, index)) + '([^/?#]+)'
+        names.push(match[1])
+        pos = index + match[0].length
+        match = re.exec(template)
+    }
+    source += escapeRegExp(template.substring(pos))
+    const regExp: RegExp = new RegExp(`^${source}$`)
+
+    return function matchRegExpTemplate(path: string): ?StrDict {
+        const result: ?string[] = regExp.exec(path)
+        if (!result) {
+            return null
+        }
+        const params: StrDict = {}
+        for (let i = 0, l = names.length; i < l; i++) {
+            params[names[i]] = decodeURIComponent(result[i + 1])
+        }
+
+        return params
+    }
+}
+
+function isBodyMatched(expected: $PropertyType<MockRoute, 'body'>, body: ?string): boolean {
+    if (expected === null || expected === undefined) {
+        return true
+    }
+    if (typeof expected === 'function') {
+        return expected(body)
+    }
+    if (typeof expected === 'string') {
+        return expected === body
+    }
+    try {
+        return JSON.stringify(JSON.parse(body || '')) === JSON.stringify(expected)
+    } catch (err) {
+        return false
+    }
+}
+
+function matchRoute(compiled: CompiledRoute, req: MockRequest): ?StrDict {
+    const route: MockRoute = compiled.route
+    if (route.method && route.method.toUpperCase() !== req.method) {
+        return null
+    }
+    const params: ?StrDict = compiled.match(req.path)
+    if (!params) {
+        return null
+    }
+    const query: StrDict = route.query || {}
+    const queryKeys: string[] = Object.keys(query)
+    for (let i = 0, l = queryKeys.length; i < l; i++) {
+        if (req.query[queryKeys[i]] !== String(query[queryKeys[i]])) {
+            return null
+        }
+    }
+
+    return isBodyMatched(route.body, req.body) ? params : null
+}
+
+function delay<V>(ms: ?number, value: V): Promise<V> {
+    if (!ms) {
+        return Promise.resolve(value)
+    }
+    const timeout: number = ms
+
+    return new Promise((resolve: (v: V) => void) => setTimeout(() => resolve(value), timeout))
+}
+
+function readFixtures(fixtures: ?(string | Exchange[])): Exchange[] {
+    if (!fixtures) {
+        return []
+    }
+    if (typeof fixtures !== 'string') {
+        return fixtures
+    }
+    const fs = require('fs') // eslint-disable-line
+
+    return JSON.parse(fs.readFileSync(fixtures, 'utf8'))
+}
+
+/**
+ * Fake fetchFn for tests with routes, record and replay modes.
+ */
+export class MockFetch {
+    /**
+     * All requests.
+     */
+    calls: MockRequest[] = []
+
+    /**
+     * Requests, not matched any route.
+     */
+    unmatched: MockRequest[] = []
+
+    /**
+     * Recorded or replayed exchanges.
+     */
+    exchanges: Exchange[]
+
+    _routes: CompiledRoute[] = []
+    _rec: MockFetchRec
+    _used: Exchange[] = []
+
+    constructor(rec?: MockFetchRec = {}) {
+        this._rec = rec
+        this.exchanges = rec.mode === 'replay' ? readFixtures(rec.fixtures) : []
+        if (rec.mode === 'record' && !rec.fetchFn) {
+            throw new TypeError('fetchFn is required in record mode')
+        }
+    }
+
+    /**
+     * Register route.
+     *
+     * @example
+     * ```js
+     * // @flow
+     * mock.route({method: 'GET', url: '/api/user/:id'}, (req: MockRequest) => ({
+     *     body: {id: req.params.id}
+     * }))
+     * ```
+     */
+    route(
+        route: MockRoute | string,
+        response?: MockResponder = {}
+    ): MockFetch {
+        const normalized: MockRoute = typeof route === 'string' ? {url: route} : route
+        const placeholderRegExp: ?RegExp = this._rec.placeholderRegExp
+        this._routes.push({
+            route: normalized,
+            match: placeholderRegExp
+                ? compileRegExpTemplate(normalized.url, placeholderRegExp)
+                : compileTemplate(normalized.url).match,
+            response,
+            calls: []
+        })
+
+        return this
+    }
+
+    get(url: string, response?: MockResponder): MockFetch {
+        return this.route({method: 'GET', url}, response)
+    }
+
+    post(url: string, response?: MockResponder): MockFetch {
+        return this.route({method: 'POST', url}, response)
+    }
+
+    put(url: string, response?: MockResponder): MockFetch {
+        return this.route({method: 'PUT', url}, response)
+    }
+
+    delete(url: string, response?: MockResponder): MockFetch {
+        return this.route({method: 'DELETE', url}, response)
+    }
+
+    _mock(req: MockRequest): Promise<Response> {
+        for (let i = 0, l = this._routes.length; i < l; i++) {
+            const compiled: CompiledRoute = this._routes[i]
+            const params: ?StrDict = matchRoute(compiled, req)
+            if (params) {
+                const matchedReq: MockRequest = {...req, params}
+                compiled.calls.push(matchedReq)
+                const response = compiled.response
+                const rec: MockResponseRec = typeof response === 'function'
+                    ? response(matchedReq)
+                    : response
+
+                return delay(rec.delay, (new MockResponse(req.url, rec): any))
+            }
+        }
+        this.unmatched.push(req)
+
+        return Promise.reject(new Error(`No mock route for ${req.method} ${req.url}`))
+    }
+
+    _replay(req: MockRequest): Promise<Response> {
+        const matched: Exchange[] = this.exchanges.filter((exchange: Exchange) =>
+            exchange.request.method === req.method
+            && exchange.request.url === req.url
+            && (exchange.request.body || null) === req.body
+        )
+        const exchange: ?Exchange = matched.find((e: Exchange) => this._used.indexOf(e) === -1)
+            || matched[matched.length - 1]
+        if (!exchange) {
+            this.unmatched.push(req)
+            return Promise.reject(new Error(`No recorded exchange for ${req.method} ${req.url}`))
+        }
+        this._used.push(exchange)
+
+        return Promise.resolve((new MockResponse(req.url, {...exchange.response}): any))
+    }
+
+    _record(req: MockRequest, url: string, options: RequestOptions): Promise<Response> {
+        const fetchFn: FetchFn = (this._rec.fetchFn: any)
+
+        return fetchFn.call(null, url, options)
+            .then((response: Response) => response.clone().text()
+                .then((body: string) => {
+                    this.exchanges.push({
+                        request: {
+                            method: req.method,
+                            url: req.url,
+                            headers: req.headers,
+                            body: req.body
+                        },
+                        response: {
+                            status: response.status,
+                            statusText: response.statusText,
+                            headers: headersToObject((response.headers: any)),
+                            body
+                        }
+                    })
+                    return response
+                })
+            )
+    }
+
+    /**
+     * Fetch function, pass it to Fetcher fetchFn option.
+     */
+    fetch: FetchFn = (url: string, options?: RequestOptions = {}) => {
+        const req: MockRequest = createRequest(url, options)
+        this.calls.push(req)
+        switch (this._rec.mode) {
+            case 'record':
+                return this._record(req, url, options)
+            case 'replay':
+                return this._replay(req)
+            default:
+                return this._mock(req)
+        }
+    }
+
+    /**
+     * Save recorded exchanges to fixtures file.
+     */
+    save(fixtures?: ?string): Exchange[] {
+        const file: mixed = fixtures || this._rec.fixtures
+        if (typeof file === 'string') {
+            const fs = require('fs') // eslint-disable-line
+            fs.writeFileSync(file, JSON.stringify(this.exchanges, null, 2))
+        }
+
+        return this.exchanges
+    }
+
+    /**
+     * Throw error if some requests not matched any route.
+     */
+    assertAllMatched(): void {
+        if (this.unmatched.length) {
+            throw new Error(`Unmatched requests: ${this.unmatched
+                .map((req: MockRequest) => `${req.method} ${req.url}`)
+                .join(', ')
+            }`)
+        }
+    }
+
+    /**
+     * Throw error if some routes never called.
+     */
+    assertAllCalled(): void {
+        const notCalled: CompiledRoute[] = this._routes
+            .filter((compiled: CompiledRoute) => compiled.calls.length === 0)
+        if (notCalled.length) {
+            throw new Error(`Routes never called: ${notCalled
+                .map((compiled: CompiledRoute) =>
+                    `${compiled.route.method || '*'} ${compiled.route.url}`
+                )
+                .join(', ')
+            }`)
+        }
+    }
+
+    /**
+     * Clear calls and route call counters.
+     */
+    reset(): MockFetch {
+        this.calls = []
+        this.unmatched = []
+        this._used = []
+        for (let i = 0, l = this._routes.length; i < l; i++) {
+            this._routes[i].calls = []
+        }
+
+        return this
+    }
+}
+
+/**
+ * Create fake fetchFn for tests.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const mock = createMockFetch()
+ *     .get('/api/user/:id', {body: {id: '1'}, delay: 10})
+ *     .route({method: 'POST', url: '/api/user', body: {name: 'test'}}, {status: 201})
+ *
+ * const fetcher = new Fetcher({fetchFn: mock.fetch})
+ * ```
+ */
+export function createMockFetch(rec?: MockFetchRec): MockFetch {
+    return new MockFetch(rec)
+}
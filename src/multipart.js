@@ -0,0 +1,107 @@
+/* @flow */
+
+/**
+ * Nested keys notation.
+ *
+ * brackets - user[name], user[files][0]; dots - user.name, user.files.0
+ */
+export type KeyNotation = 'brackets' | 'dots'
+
+/**
+ * Array item keys.
+ *
+ * indices - files[0], empty - files[], repeat - files
+ */
+export type FormArrayFormat = 'indices' | 'empty' | 'repeat'
+
+export type FormDataRec = {
+    /**
+     * Default brackets.
+     */
+    notation?: KeyNotation;
+
+    /**
+     * Default indices.
+     */
+    arrayFormat?: FormArrayFormat;
+}
+
+const toString = Object.prototype.toString
+
+/**
+ * True for Blob and File values.
+ */
+export function isBlob(value: mixed): boolean {
+    const tag: string = toString.call(value)
+    return tag === '[object Blob]' || tag === '[object File]'
+}
+
+/**
+ * Convert nested object with Blob and File values to FormData.
+ *
+ * null and undefined values are skipped, Dates are serialized to ISO string.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * new Fetcher({
+ *     method: 'POST',
+ *     body: toFormData({user: {name: 'test', avatar: file}, tags: ['a', 'b']})
+ * })
+ * // user[name]=test, user[avatar]=file, tags[0]=a, tags[1]=b
+ * ```
+ */
+export function toFormData(
+    value: Object,
+    rec?: FormDataRec = {},
+    formData?: FormData = new FormData()
+): FormData {
+    const notation: KeyNotation = rec.notation || 'brackets'
+    const arrayFormat: FormArrayFormat = rec.arrayFormat || 'indices'
+
+    function childKey(key: string, name: string): string {
+        if (!key) {
+            return name
+        }
+
+        return notation === 'dots' ? `${key}.${name}` : `${key}[${name}]`
+    }
+
+    function itemKey(key: string, index: number): string {
+        if (arrayFormat === 'repeat') {
+            return key
+        }
+        if (arrayFormat === 'empty') {
+            return `${key}[]`
+        }
+
+        return childKey(key, String(index))
+    }
+
+    function append(key: string, item: mixed): void {
+        if (item === null || item === undefined) {
+            return
+        }
+        if (isBlob(item)) {
+            formData.append(key, (item: any))
+        } else if (item instanceof Date) {
+            formData.append(key, item.toISOString())
+        } else if (Array.isArray(item)) {
+            for (let i = 0, l = item.length; i < l; i++) {
+                append(itemKey(key, i), item[i])
+            }
+        } else if (typeof item === 'object') {
+            const obj: Object = item
+            const keys: string[] = Object.keys(obj)
+            for (let i = 0, l = keys.length; i < l; i++) {
+                append(childKey(key, keys[i]), obj[keys[i]])
+            }
+        } else {
+            formData.append(key, String(item))
+        }
+    }
+
+    append('', value)
+
+    return formData
+}
@@ -0,0 +1,94 @@
+/* @flow */
+import type {EntryMatch, FetcherRec, IFetcher, Repository} from './index'
+
+export type MutationRule = {
+    repository: Repository<any>;
+
+    /**
+     * Match entries, which params contain these values. Default - all entries.
+     */
+    params?: ?Object | (params: Object, result: any) => Object;
+
+    /**
+     * Match entries by key prefix.
+     */
+    prefix?: ?string | (params: Object, result: any) => string;
+
+    /**
+     * Write value into matched entries instead of reset.
+     *
+     * If nothing is matched and rule params are set, entry with rule params is created.
+     */
+    update?: ?(result: any, current: any, params: Object) => any;
+}
+
+function isSubset(subset: Object, params: Object): boolean {
+    const keys: string[] = Object.keys(subset)
+    for (let i = 0, l = keys.length; i < l; i++) {
+        const key: string = keys[i]
+        if (params[key] === undefined || String(params[key]) !== String(subset[key])) {
+            return false
+        }
+    }
+
+    return true
+}
+
+function applyRule(rule: MutationRule, params: Object, result: any): void {
+    const ruleParams: ?Object = typeof rule.params === 'function'
+        ? rule.params(params, result)
+        : rule.params
+    const prefix: ?string = typeof rule.prefix === 'function'
+        ? rule.prefix(params, result)
+        : rule.prefix
+    const match: EntryMatch = (key: string, entryParams: ?Object) => (
+        (!prefix || key.indexOf(prefix) === 0)
+        && (!ruleParams || isSubset(ruleParams, entryParams || {}))
+    )
+    const update = rule.update
+    if (!update) {
+        rule.repository.resetWhere(match)
+        return
+    }
+    const updated: number = rule.repository
+        .updateWhere(match, (current: any) => update(result, current, params))
+    if (!updated && ruleParams) {
+        rule.repository.set({params: ruleParams}, update(result, null, params))
+    }
+}
+
+/**
+ * Fetcher wrapper, which resets or updates Repository entries after success.
+ *
+ * Rules receive params of mutate FetcherRec.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const updateUser = new Mutation(updateUserFetcher, [
+ *     {repository: users, params: (params: {id: string}) => ({id: params.id})},
+ *     {repository: userLists}
+ * ])
+ * updateUser.mutate({params: {id: '1'}, body: JSON.stringify(user)})
+ * ```
+ */
+export class Mutation<Result> {
+    _fetcher: IFetcher<Result, *>
+    _rules: MutationRule[]
+
+    constructor(fetcher: IFetcher<Result, *>, rules?: MutationRule[] = []) {
+        this._fetcher = fetcher
+        this._rules = rules
+    }
+
+    mutate(rec?: FetcherRec<*>): Promise<Result> {
+        const params: Object = (rec && rec.params) || {}
+
+        return this._fetcher.fetch(rec).then((result: Result) => {
+            for (let i = 0, l = this._rules.length; i < l; i++) {
+                applyRule(this._rules[i], params, result)
+            }
+            return result
+        })
+    }
+}
@@ -0,0 +1,392 @@
+/* @flow */
+import type {IFetcher, Middleware, Next} from './index'
+import {parseQuery} from './query'
+
+/**
+ * Fetched page with pagination params, used to get params of next page.
+ */
+export type PageInfo<Page> = {
+    page: Page;
+    items: any[];
+
+    /**
+     * Pagination params of this page.
+     */
+    params: Object;
+
+    /**
+     * Raw response of this page.
+     */
+    response: ?Response;
+}
+
+/**
+ * Returns pagination params, merged into fetcher params on each page.
+ */
+export type PaginationStrategy = {
+    first(): Object;
+
+    /**
+     * Params of next page, null if page is last.
+     */
+    next(info: PageInfo<any>): ?Object;
+}
+
+export type PagesRec = {
+    /**
+     * Default Infinity.
+     */
+    maxPages?: number;
+}
+
+export type PaginatorRec<Page, Item> = PagesRec & {
+    strategy: PaginationStrategy;
+
+    /**
+     * Default - page itself if array, else page.items or page.data.
+     */
+    getItems?: (page: Page) => Item[];
+}
+
+export type IterStep<V> = {
+    done: boolean;
+    value: ?V;
+}
+
+const asyncIterator: any = (typeof Symbol === 'function' && (Symbol: any).asyncIterator)
+    || '@@asyncIterator'
+
+function defaultGetItems(page: any): any[] {
+    if (Array.isArray(page)) {
+        return page
+    }
+
+    return (page && (page.items || page.data)) || []
+}
+
+export type OffsetPaginationRec = {
+    /**
+     * page - param is page number, offset - param is index of first item. Default page.
+     */
+    type?: 'page' | 'offset';
+
+    /**
+     * Default page or offset, depends on type.
+     */
+    param?: string;
+
+    /**
+     * Default limit.
+     */
+    limitParam?: string;
+
+    /**
+     * Page size, default 20. Page with less items is last.
+     */
+    limit?: number;
+
+    /**
+     * Default 1 for page type, 0 for offset type.
+     */
+    start?: number;
+}
+
+/**
+ * Pagination by page number or item offset: ?page=2&limit=20
+ */
+export function offsetPagination(rec?: OffsetPaginationRec = {}): PaginationStrategy {
+    const isOffset: boolean = rec.type === 'offset'
+    const param: string = rec.param || (isOffset ? 'offset' : 'page')
+    const limitParam: string = rec.limitParam || 'limit'
+    const limit: number = rec.limit || 20
+    const start: number = rec.start === undefined ? (isOffset ? 0 : 1) : rec.start
+
+    return {
+        first(): Object {
+            return {[param]: start, [limitParam]: limit}
+        },
+        next(info: PageInfo<any>): ?Object {
+            if (info.items.length < limit) {
+                return null
+            }
+
+            return {
+                [param]: Number(info.params[param]) + (isOffset ? limit : 1),
+                [limitParam]: limit
+            }
+        }
+    }
+}
+
+export type CursorPaginationRec = {
+    /**
+     * Default cursor.
+     */
+    param?: string;
+
+    /**
+     * Cursor of next page, default page.nextCursor or page.next_cursor.
+     */
+    getCursor?: (page: any) => ?string;
+
+    /**
+     * If set, added to params of each page.
+     */
+    limitParam?: string;
+    limit?: number;
+}
+
+function defaultGetCursor(page: any): ?string {
+    return page ? (page.nextCursor || page.next_cursor) : null
+}
+
+/**
+ * Pagination by opaque cursor from previous page: ?cursor=abc
+ */
+export function cursorPagination(rec?: CursorPaginationRec = {}): PaginationStrategy {
+    const param: string = rec.param || 'cursor'
+    const getCursor: (page: any) => ?string = rec.getCursor || defaultGetCursor
+    const limitParam: ?string = rec.limitParam
+    const limit: ?number = rec.limit
+
+    function withLimit(params: Object): Object {
+        return limitParam && limit
+            ? {...params, [limitParam]: limit}
+            : params
+    }
+
+    return {
+        first(): Object {
+            return withLimit({})
+        },
+        next(info: PageInfo<any>): ?Object {
+            const cursor: ?string = getCursor(info.page)
+            return cursor ? withLimit({[param]: cursor}) : null
+        }
+    }
+}
+
+export type LinkPaginationRec = {
+    /**
+     * Default next.
+     */
+    rel?: string;
+}
+
+const linkRegExp: RegExp = /<([^>]*)>((?:\s*;\s*[^;,]+)*)/g
+const relRegExp: RegExp = /;\s*rel\s*=\s*"?([^";]+)"?/
+
+function getLink(header: string, rel: string): ?string {
+    linkRegExp.lastIndex = 0
+    let match: ?string[] = linkRegExp.exec(header)
+    while (match) {
+        const relMatch: ?string[] = relRegExp.exec(match[2])
+        if (relMatch && relMatch[1].split(/\s+/).indexOf(rel) !== -1) {
+            return match[1]
+        }
+        match = linkRegExp.exec(header)
+    }
+
+    return null
+}
+
+/**
+ * Pagination by RFC 5988 Link header: Link: <https://api.example.com/users?page=2>; rel="next"
+ *
+ * Query of next link is merged into fetcher params, so link must point to the same path.
+ */
+export function linkPagination(rec?: LinkPaginationRec = {}): PaginationStrategy {
+    const rel: string = rec.rel || 'next'
+
+    return {
+        first(): Object {
+            return {}
+        },
+        next(info: PageInfo<any>): ?Object {
+            const header: ?string = info.response && info.response.headers
+                ? info.response.headers.get('link')
+                : null
+            const link: ?string = header ? getLink(header, rel) : null
+            if (!link) {
+                return null
+            }
+            const queryIndex: number = link.indexOf('?')
+
+            return queryIndex === -1 ? {} : parseQuery(link.substring(queryIndex + 1).split('#')[0])
+        }
+    }
+}
+
+type FetchPage<Page> = (params: Object) => Promise<PageInfo<Page>>
+
+/**
+ * Async iterator over pages. Each next() waits for previous one.
+ */
+export class PageIterator<Page> {
+    _fetchPage: FetchPage<Page>
+    _strategy: PaginationStrategy
+    _maxPages: number
+    _count: number = 0
+    _params: ?Object
+    _queue: Promise<mixed> = Promise.resolve()
+
+    constructor(fetchPage: FetchPage<Page>, strategy: PaginationStrategy, maxPages: number) {
+        this._fetchPage = fetchPage
+        this._strategy = strategy
+        this._maxPages = maxPages
+        this._params = strategy.first()
+        const self: any = this
+        self[asyncIterator] = () => this
+    }
+
+    _step(): Promise<IterStep<Page>> {
+        const params: ?Object = this._params
+        if (!params || this._count >= this._maxPages) {
+            this._params = null
+            return Promise.resolve({done: true, value: undefined})
+        }
+        this._count++
+
+        return this._fetchPage(params)
+            .then((info: PageInfo<Page>) => {
+                this._params = this._strategy.next(info)
+                return {done: false, value: info.page}
+            })
+            .catch((error: Error) => {
+                this._params = null
+                throw error
+            })
+    }
+
+    next(): Promise<IterStep<Page>> {
+        const result: Promise<IterStep<Page>> = this._queue.then(() => this._step())
+        this._queue = result.catch(() => {})
+
+        return result
+    }
+
+    /**
+     * Stop iteration, called by for await on break.
+     */
+    return(): Promise<IterStep<Page>> {
+        this._params = null
+        return Promise.resolve({done: true, value: undefined})
+    }
+}
+
+/**
+ * Async iterator over items of all pages.
+ */
+export class ItemIterator<Page, Item> {
+    _pages: PageIterator<Page>
+    _getItems: (page: Page) => Item[]
+    _buffer: Item[] = []
+
+    constructor(pages: PageIterator<Page>, getItems: (page: Page) => Item[]) {
+        this._pages = pages
+        this._getItems = getItems
+        const self: any = this
+        self[asyncIterator] = () => this
+    }
+
+    next(): Promise<IterStep<Item>> {
+        if (this._buffer.length) {
+            return Promise.resolve({done: false, value: this._buffer.shift()})
+        }
+
+        return this._pages.next().then((step: IterStep<Page>) => {
+            if (step.done || !step.value) {
+                return {done: true, value: undefined}
+            }
+            this._buffer = this._getItems(step.value).slice()
+
+            return this.next()
+        })
+    }
+
+    return(): Promise<IterStep<Item>> {
+        this._buffer = []
+        return this._pages.return().then(() => ({done: true, value: undefined}))
+    }
+}
+
+function collect<V>(iterator: {next(): Promise<IterStep<V>>}): Promise<V[]> {
+    const result: V[] = []
+    function step(): Promise<V[]> {
+        return iterator.next().then((item: IterStep<V>) => {
+            if (item.done) {
+                return result
+            }
+            result.push((item.value: any))
+            return step()
+        })
+    }
+
+    return step()
+}
+
+/**
+ * Iterates over paginated resource. Each page fetched via fetcher.fetch({params}),
+ * so pagination params are merged into fetcher params.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const paginator = new Paginator(usersFetcher, {strategy: offsetPagination({limit: 50})})
+ * for await (const page of paginator) {
+ *     render(page)
+ * }
+ * ```
+ */
+export class Paginator<Page, Item> {
+    _fetcher: IFetcher<Page, *>
+    _strategy: PaginationStrategy
+    _getItems: (page: Page) => Item[]
+    _maxPages: number
+
+    constructor(fetcher: IFetcher<Page, *>, rec: PaginatorRec<Page, Item>) {
+        this._fetcher = fetcher
+        this._strategy = rec.strategy
+        this._getItems = rec.getItems || defaultGetItems
+        this._maxPages = rec.maxPages === undefined ? Infinity : rec.maxPages
+        const self: any = this
+        self[asyncIterator] = () => this.pages()
+    }
+
+    _fetchPage(params: Object): Promise<PageInfo<Page>> {
+        let response: ?Response = null
+        const capture: Middleware = (req: IFetcher<*, *>, next: Next) => next(req)
+            .then((res: Response) => {
+                response = res
+                return res
+            })
+
+        return this._fetcher.fetch({params, middlewares: [capture]})
+            .then((page: Page) => ({
+                page,
+                items: this._getItems(page),
+                params,
+                response
+            }))
+    }
+
+    pages(rec?: PagesRec = {}): PageIterator<Page> {
+        return new PageIterator(
+            (params: Object) => this._fetchPage(params),
+            this._strategy,
+            rec.maxPages === undefined ? this._maxPages : rec.maxPages
+        )
+    }
+
+    items(rec?: PagesRec): ItemIterator<Page, Item> {
+        return new ItemIterator(this.pages(rec), this._getItems)
+    }
+
+    fetchAll(rec?: PagesRec): Promise<Page[]> {
+        return collect(this.pages(rec))
+    }
+
+    fetchAllItems(rec?: PagesRec): Promise<Item[]> {
+        return collect(this.items(rec))
+    }
+}
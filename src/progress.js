@@ -0,0 +1,56 @@
+/* @flow */
+
+export type Progress = {
+    /**
+     * Transferred bytes.
+     */
+    loaded: number;
+
+    /**
+     * Content-Length, null if unknown.
+     */
+    total: ?number;
+}
+
+export type OnProgress = (progress: Progress) => void
+
+function getTotal(response: Response): ?number {
+    const header: ?string = response.headers ? response.headers.get('content-length') : null
+    const total: number = header ? parseInt(header, 10) : NaN
+
+    return isNaN(total) ? null : total
+}
+
+/**
+ * Report download progress, while response body is read.
+ *
+ * Progress is counted on response clone stream, response is returned as is.
+ * Does nothing if response has no readable body stream.
+ */
+export function trackDownloadProgress(response: Response, onProgress: OnProgress): Response {
+    if (!response || typeof response.clone !== 'function') {
+        return response
+    }
+    const clone: Response = response.clone()
+    const body: any = clone.body
+    if (!body || typeof body.getReader !== 'function') {
+        return response
+    }
+    const reader = body.getReader()
+    const total: ?number = getTotal(response)
+    let loaded: number = 0
+
+    function read(): Promise<void> {
+        return reader.read().then((chunk: {done: boolean, value: ?Uint8Array}) => {
+            if (chunk.done) {
+                return undefined
+            }
+            loaded += chunk.value ? chunk.value.byteLength : 0
+            onProgress({loaded, total})
+            return read()
+        })
+    }
+    read().catch(() => {})
+
+    return response
+}
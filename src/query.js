@@ -0,0 +1,143 @@
+/* @flow */
+import type {StrDict} from './index'
+
+/**
+ * Array serialization style.
+ *
+ * repeat - a=1&a=2, brackets - a[]=1&a[]=2, comma - a=1,2
+ */
+export type ArrayFormat = 'repeat' | 'brackets' | 'comma'
+
+export type StringifyQueryRec = {
+    /**
+     * Default repeat.
+     */
+    arrayFormat?: ArrayFormat;
+
+    /**
+     * If true - skip null and undefined values, else serialize them as empty string. Default true.
+     */
+    skipNull?: boolean;
+
+    /**
+     * Sort keys on each nesting level: true or compare function. Default false.
+     */
+    sort?: boolean | (a: string, b: string) => number;
+}
+
+type Pair = [string, string]
+
+export function encode(value: string): string {
+    return encodeURIComponent(value)
+}
+
+function toStr(value: mixed): string {
+    if (value instanceof Date) {
+        return value.toISOString()
+    }
+
+    return String(value)
+}
+
+function isEmpty(value: mixed): boolean {
+    return value === null || value === undefined
+}
+
+/**
+ * Create query string serializer, same in browsers and node.
+ *
+ * Nested objects serialized as a[b]=1.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const stringify = createStringifyQuery({arrayFormat: 'brackets', sort: true})
+ * stringify({b: [1, 2], a: {c: 'x y'}}) // a[c]=x%20y&b[]=1&b[]=2
+ * ```
+ */
+export function createStringifyQuery(
+    rec?: StringifyQueryRec = {}
+): (params: Object) => string {
+    const arrayFormat: ArrayFormat = rec.arrayFormat || 'repeat'
+    const skipNull: boolean = rec.skipNull === undefined ? true : rec.skipNull
+    const sort = rec.sort
+    const compare: ?(a: string, b: string) => number = typeof sort === 'function'
+        ? sort
+        : (sort ? undefined : null)
+
+    function getKeys(obj: Object): string[] {
+        const keys: string[] = Object.keys(obj)
+        return compare === null ? keys : keys.sort(compare || undefined)
+    }
+
+    function add(pairs: Pair[], key: string, value: mixed): void {
+        if (isEmpty(value)) {
+            if (!skipNull) {
+                pairs.push([key, ''])
+            }
+            return
+        }
+        if (Array.isArray(value)) {
+            const items: mixed[] = skipNull ? value.filter((v: mixed) => !isEmpty(v)) : value
+            if (arrayFormat === 'comma') {
+                if (items.length) {
+                    pairs.push([key, items
+                        .map((v: mixed) => (isEmpty(v) ? '' : encode(toStr(v))))
+                        .join(',')
+                    ])
+                }
+                return
+            }
+            const itemKey: string = arrayFormat === 'brackets' ? `${key}[]` : key
+            for (let i = 0, l = items.length; i < l; i++) {
+                add(pairs, itemKey, items[i])
+            }
+            return
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const obj: Object = value
+            const keys: string[] = getKeys(obj)
+            for (let i = 0, l = keys.length; i < l; i++) {
+                add(pairs, `${key}[${encode(keys[i])}]`, obj[keys[i]])
+            }
+            return
+        }
+        pairs.push([key, encode(toStr(value))])
+    }
+
+    return function stringifyQuery(params: Object): string {
+        const pairs: Pair[] = []
+        const keys: string[] = getKeys(params)
+        for (let i = 0, l = keys.length; i < l; i++) {
+            add(pairs, encode(keys[i]), params[keys[i]])
+        }
+
+        return pairs.map((pair: Pair) => `${pair[0]}=${pair[1]}`).join('&')
+    }
+}
+
+/**
+ * Default query string serializer: repeat arrays, skip null values, keep keys order.
+ */
+export const stringifyQuery: (params: Object) => string = createStringifyQuery()
+
+function decodeQueryComponent(str: string): string {
+    return decodeURIComponent(str.replace(/\+/g, ' '))
+}
+
+/**
+ * Parse query string into flat dictionary, last value of repeated key wins.
+ */
+export function parseQuery(query: string): StrDict {
+    const result: StrDict = {}
+    const pairs: string[] = query ? query.split('&') : []
+    for (let i = 0, l = pairs.length; i < l; i++) {
+        const pair: string = pairs[i]
+        const index: number = pair.indexOf('=')
+        const key: string = index === -1 ? pair : pair.substring(0, index)
+        const value: string = index === -1 ? '' : pair.substring(index + 1)
+        result[decodeQueryComponent(key)] = decodeQueryComponent(value)
+    }
+
+    return result
+}
@@ -0,0 +1,267 @@
+/* @flow */
+/* eslint-env browser */
+import {AbortError, HttpError, TimeoutError, createHttpError} from './errors'
+import type {FetchFn} from './index'
+
+export type RetryRec = {
+    /**
+     * Max attempts count, including first request. Default 3.
+     */
+    attempts?: number;
+
+    /**
+     * Initial backoff delay in ms. Default 300.
+     */
+    delay?: number;
+
+    /**
+     * Max backoff delay in ms. Default 10000.
+     */
+    maxDelay?: number;
+
+    /**
+     * Backoff multiplier. Default 2.
+     */
+    factor?: number;
+
+    /**
+     * If true - use random delay between 0 and backoff value. Default true.
+     */
+    jitter?: boolean;
+
+    /**
+     * Retryable methods. Default idempotent methods: GET, HEAD, OPTIONS, PUT, DELETE, TRACE.
+     */
+    methods?: string[];
+
+    /**
+     * Retry predicate, receives HttpError or network error.
+     *
+     * Default: retry network errors and 408, 429, 500, 502, 503, 504 statuses.
+     */
+    retryOn?: (err: Error, attempt: number) => boolean;
+
+    /**
+     * If true - use Retry-After header value as delay on 429 and 503 statuses. Default true.
+     */
+    retryAfter?: boolean;
+}
+
+type RetryPolicy = {
+    attempts: number;
+    delay: number;
+    maxDelay: number;
+    factor: number;
+    jitter: boolean;
+    methods: string[];
+    retryOn: (err: Error, attempt: number) => boolean;
+    retryAfter: boolean;
+}
+
+const RETRY_STATUSES: number[] = [408, 429, 500, 502, 503, 504]
+
+function defaultRetryOn(err: Error): boolean {
+    if (err instanceof HttpError) {
+        return RETRY_STATUSES.indexOf(err.response.status) !== -1
+    }
+
+    return !(err instanceof AbortError) && err.name !== 'AbortError'
+}
+
+function createRetryPolicy(rec: RetryRec): RetryPolicy {
+    return {
+        attempts: rec.attempts === undefined ? 3 : rec.attempts,
+        delay: rec.delay === undefined ? 300 : rec.delay,
+        maxDelay: rec.maxDelay === undefined ? 10000 : rec.maxDelay,
+        factor: rec.factor === undefined ? 2 : rec.factor,
+        jitter: rec.jitter === undefined ? true : rec.jitter,
+        methods: (rec.methods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'])
+            .map((method: string) => method.toUpperCase()),
+        retryOn: rec.retryOn || defaultRetryOn,
+        retryAfter: rec.retryAfter === undefined ? true : rec.retryAfter
+    }
+}
+
+/**
+ * Get Retry-After header value in ms, header contains seconds or http-date.
+ */
+function getRetryAfter(response: Response): ?number {
+    if ((response.status !== 429 && response.status !== 503) || !response.headers) {
+        return null
+    }
+    const value: ?string = response.headers.get('Retry-After')
+    if (!value) {
+        return null
+    }
+    const seconds: number = Number(value)
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000)
+    }
+    const date: number = Date.parse(value)
+
+    return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+function getRetryDelay(retry: RetryPolicy, attempt: number, err: Error): number {
+    if (retry.retryAfter && err instanceof HttpError) {
+        const retryAfter: ?number = getRetryAfter(err.response)
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return retryAfter
+        }
+    }
+    const backoff: number = Math.min(
+        retry.maxDelay,
+        retry.delay * Math.pow(retry.factor, attempt - 1)
+    )
+
+    return retry.jitter ? Math.round(Math.random() * backoff) : backoff
+}
+
+function isFailedResponse(response: mixed): boolean {
+    return !!response
+        && typeof response === 'object'
+        && typeof response.status === 'number'
+        && (response.status < 200 || response.status >= 300)
+}
+
+/**
+ * Delay, rejects with AbortError as soon as signal aborted.
+ */
+function wait(ms: number, signal?: ?AbortSignal): Promise<void> {
+    if (signal && signal.aborted) {
+        return Promise.reject(new AbortError())
+    }
+
+    return new Promise((resolve: () => void, reject: (e: Error) => void) => {
+        let timer: ?number = null
+        function onAbort(): void {
+            clearTimeout(timer)
+            reject(new AbortError())
+        }
+        timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort)
+            }
+            resolve()
+        }, ms)
+        if (signal) {
+            signal.addEventListener('abort', onAbort)
+        }
+    })
+}
+
+export type OnRetry = (attempt: number, error: Error) => void
+
+/**
+ * Call fetchFn and repeat it on failures.
+ *
+ * Last failed response is passed through as is, network error rethrown.
+ */
+export function retryFetch(
+    rec: RetryRec,
+    fetchFn: FetchFn,
+    url: string,
+    options: RequestOptions,
+    onRetry?: ?OnRetry
+): Promise<Response> {
+    const retry: RetryPolicy = createRetryPolicy(rec)
+    if (retry.methods.indexOf((options.method || 'GET').toUpperCase()) === -1) {
+        return fetchFn.call(null, url, options)
+    }
+
+    function run(attempt: number): Promise<Response> {
+        function next(err: Error, response: ?Response): Promise<Response> {
+            if (attempt >= retry.attempts || !retry.retryOn(err, attempt)) {
+                if (response) {
+                    return Promise.resolve(response)
+                }
+                throw err
+            }
+            if (onRetry) {
+                onRetry(attempt, err)
+            }
+
+            return wait(getRetryDelay(retry, attempt, err), (options: Object).signal)
+                .then(() => run(attempt + 1))
+        }
+
+        return fetchFn.call(null, url, options)
+            .then(
+                (response: Response) => (isFailedResponse(response)
+                    ? next(createHttpError(response), response)
+                    : response),
+                (err: Error) => next(err, null)
+            )
+    }
+
+    return run(1)
+}
+
+export function createAbortController(): ?AbortController {
+    return typeof AbortController === 'undefined' ? null : new AbortController()
+}
+
+/**
+ * Call fetchFn with timeout and abort signal.
+ *
+ * Rejects with TimeoutError or AbortError even if fetchFn does not support signal.
+ */
+export function abortableFetch(
+    fetchFn: FetchFn,
+    timeout: number,
+    url: string,
+    options: RequestOptions
+): Promise<Response> {
+    const signal: ?AbortSignal = (options: Object).signal
+    if (!timeout && !signal) {
+        return fetchFn.call(null, url, options)
+    }
+    if (signal && signal.aborted) {
+        return Promise.reject(new AbortError())
+    }
+    const controller: ?AbortController = createAbortController()
+
+    return new Promise((resolve: (v: Response) => void, reject: (e: Error) => void) => {
+        let timer: ?number = null
+        let onAbort: ?() => void = null
+
+        function cleanup(): void {
+            if (timer) {
+                clearTimeout(timer)
+                timer = null
+            }
+            if (signal && onAbort) {
+                signal.removeEventListener('abort', onAbort)
+            }
+        }
+
+        function cancel(err: Error): void {
+            cleanup()
+            reject(err)
+            if (controller) {
+                controller.abort()
+            }
+        }
+
+        if (signal) {
+            const abortListener = () => cancel(new AbortError())
+            onAbort = abortListener
+            signal.addEventListener('abort', abortListener)
+        }
+        if (timeout) {
+            timer = setTimeout(() => cancel(new TimeoutError(url, timeout)), timeout)
+        }
+
+        fetchFn.call(null, url, controller ? {...options, signal: controller.signal} : options)
+            .then(
+                (response: Response) => {
+                    cleanup()
+                    resolve(response)
+                },
+                (err: Error) => {
+                    cleanup()
+                    reject(err)
+                }
+            )
+    })
+}
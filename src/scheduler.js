@@ -0,0 +1,171 @@
+/* @flow */
+import {AbortError} from './errors'
+
+export type SchedulerRec = {
+    /**
+     * Max requests in progress, default Infinity.
+     */
+    concurrency?: ?number;
+
+    /**
+     * Max requests in progress per origin, default Infinity.
+     */
+    perOrigin?: ?number;
+}
+
+type QueueEntry = {
+    origin: string;
+    priority: number;
+    start: () => void;
+
+    /**
+     * Abort listener of request signal, removes queued entry.
+     */
+    abort: () => void;
+}
+
+const queuedSignals: WeakSet<AbortSignal> = new WeakSet()
+
+const delegatedSignals: WeakMap<AbortSignal, AbortSignal> = new WeakMap()
+
+/**
+ * Link signal of request with signal of request, sent on its behalf, for example by Deduper.
+ */
+export function delegateSignal(signal: AbortSignal, delegate: AbortSignal): void {
+    delegatedSignals.set(signal, delegate)
+}
+
+/**
+ * True, if request with this signal or its delegate is waiting in some scheduler queue.
+ */
+export function isQueued(signal: AbortSignal): boolean {
+    const delegate: ?AbortSignal = delegatedSignals.get(signal)
+
+    return queuedSignals.has(signal) || (!!delegate && isQueued(delegate))
+}
+
+const URL_ORIGIN_REGEXP: RegExp = /^(?:[a-z][a-z0-9+.-]*:)?\/\/[^/?#]*/i
+
+/**
+ * Lowercased origin of absolute or protocol-relative url, empty string for relative urls.
+ */
+export function getOrigin(url: string): string {
+    const match: ?string[] = url.match(URL_ORIGIN_REGEXP)
+    return match ? match[0].toLowerCase() : ''
+}
+
+/**
+ * Limits concurrent requests, queued requests are started by priority, higher first.
+ *
+ * Queued request is removed and rejected with AbortError, if its signal aborted before start.
+ */
+export class Scheduler {
+    _concurrency: number
+    _perOrigin: number
+    _active: number = 0
+    _activeByOrigin: Map<string, number> = new Map()
+    _queue: QueueEntry[] = []
+
+    constructor(rec?: SchedulerRec = {}) {
+        this._concurrency = rec.concurrency || Infinity
+        this._perOrigin = rec.perOrigin || Infinity
+    }
+
+    /**
+     * Requests in progress and queued requests count.
+     */
+    stats(): {active: number, queued: number} {
+        return {active: this._active, queued: this._queue.length}
+    }
+
+    _canStart(origin: string): boolean {
+        return this._active < this._concurrency
+            && (this._activeByOrigin.get(origin) || 0) < this._perOrigin
+    }
+
+    _acquire(origin: string): void {
+        this._active++
+        this._activeByOrigin.set(origin, (this._activeByOrigin.get(origin) || 0) + 1)
+    }
+
+    _release(origin: string): void {
+        this._active--
+        const count: number = (this._activeByOrigin.get(origin) || 1) - 1
+        if (count) {
+            this._activeByOrigin.set(origin, count)
+        } else {
+            this._activeByOrigin.delete(origin)
+        }
+        this._next()
+    }
+
+    _next(): void {
+        const queue: QueueEntry[] = this._queue
+        for (let i = 0; i < queue.length && this._active < this._concurrency; i++) {
+            const entry: QueueEntry = queue[i]
+            if (this._canStart(entry.origin)) {
+                queue.splice(i, 1)
+                i--
+                entry.start()
+            }
+        }
+    }
+
+    _enqueue(entry: QueueEntry): void {
+        const queue: QueueEntry[] = this._queue
+        let index: number = queue.length
+        while (index > 0 && queue[index - 1].priority < entry.priority) {
+            index--
+        }
+        queue.splice(index, 0, entry)
+    }
+
+    /**
+     * Call send, when limits of url origin allow it.
+     */
+    run<V>(
+        url: string,
+        priority: number,
+        signal: ?AbortSignal,
+        send: () => Promise<V>
+    ): Promise<V> {
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError())
+        }
+        const origin: string = getOrigin(url)
+
+        return new Promise((resolve: (v: Promise<V>) => void, reject: (e: Error) => void) => {
+            const entry: QueueEntry = {
+                origin,
+                priority,
+                start: () => {
+                    if (signal) {
+                        queuedSignals.delete(signal)
+                        signal.removeEventListener('abort', entry.abort)
+                    }
+                    this._acquire(origin)
+                    const result: Promise<V> = send()
+                    const done = () => this._release(origin)
+                    result.then(done, done)
+                    resolve(result)
+                },
+                abort: () => {
+                    const index: number = this._queue.indexOf(entry)
+                    if (index !== -1) {
+                        this._queue.splice(index, 1)
+                        if (signal) {
+                            queuedSignals.delete(signal)
+                        }
+                        reject(new AbortError())
+                    }
+                }
+            }
+            if (signal) {
+                queuedSignals.add(signal)
+                signal.addEventListener('abort', entry.abort)
+            }
+            this._enqueue(entry)
+            this._next()
+        })
+    }
+}
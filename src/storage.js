@@ -0,0 +1,174 @@
+/* @flow */
+
+/**
+ * Persistent cache storage.
+ *
+ * get resolves undefined for missing, expired or other version entries.
+ */
+export interface StorageAdapter {
+    get(key: string): Promise<mixed>;
+    set(key: string, value: mixed): Promise<void>;
+    remove(key: string): Promise<void>;
+}
+
+export type StorageRec = {
+    /**
+     * Entries of other version are ignored and removed. Default 1.
+     */
+    version?: string | number;
+
+    /**
+     * Entry lifetime in ms. Default - never expires.
+     */
+    maxAge?: ?number;
+}
+
+export type StoredEntry = {
+    version: string | number;
+
+    /**
+     * Expiration timestamp in ms, null - never expires.
+     */
+    expiresAt: ?number;
+    value: mixed;
+}
+
+/**
+ * Raw entry access, without versioning and expiry.
+ */
+export type EntryStore = {
+    read(key: string): Promise<?StoredEntry>;
+    write(key: string, entry: StoredEntry): Promise<void>;
+    remove(key: string): Promise<void>;
+}
+
+/**
+ * Versioning and expiry of entries in raw entry store.
+ */
+export class BaseStorage {
+    _entries: EntryStore
+    _version: string | number
+    _maxAge: ?number
+
+    constructor(entries: EntryStore, rec?: StorageRec = {}) {
+        this._entries = entries
+        this._version = rec.version === undefined ? 1 : rec.version
+        this._maxAge = rec.maxAge
+    }
+
+    get(key: string): Promise<mixed> {
+        return this._entries.read(key).then((entry: ?StoredEntry) => {
+            if (!entry) {
+                return undefined
+            }
+            if (
+                entry.version !== this._version
+                || (typeof entry.expiresAt === 'number' && entry.expiresAt <= Date.now())
+            ) {
+                return this.remove(key).then(() => undefined)
+            }
+
+            return entry.value
+        })
+    }
+
+    set(key: string, value: mixed): Promise<void> {
+        const maxAge: ?number = this._maxAge
+        return this._entries.write(key, {
+            version: this._version,
+            expiresAt: typeof maxAge === 'number' ? Date.now() + maxAge : null,
+            value
+        })
+    }
+
+    remove(key: string): Promise<void> {
+        return this._entries.remove(key)
+    }
+}
+
+function createMemoryEntries(): EntryStore {
+    const entries: Map<string, StoredEntry> = new Map()
+
+    return {
+        read: (key: string) => Promise.resolve(entries.get(key)),
+        write: (key: string, entry: StoredEntry) => {
+            entries.set(key, entry)
+            return Promise.resolve()
+        },
+        remove: (key: string) => {
+            entries.delete(key)
+            return Promise.resolve()
+        }
+    }
+}
+
+/**
+ * In-memory storage, for tests and server side.
+ */
+export class MemoryStorage extends BaseStorage {
+    constructor(rec?: StorageRec) {
+        super(createMemoryEntries(), rec)
+    }
+}
+
+/**
+ * Sync or async string key-value store: localStorage, sessionStorage, AsyncStorage.
+ */
+export type KeyValueStore = {
+    getItem(key: string): ?string | Promise<?string>;
+    setItem(key: string, value: string): mixed;
+    removeItem(key: string): mixed;
+}
+
+export type KeyValueStorageRec = StorageRec & {
+    store: KeyValueStore;
+
+    /**
+     * Key prefix. Default fetch-builder:
+     */
+    prefix?: string;
+}
+
+function parseEntry(data: ?string): ?StoredEntry {
+    if (!data) {
+        return null
+    }
+    try {
+        return JSON.parse(data)
+    } catch (e) {
+        return null
+    }
+}
+
+function createKeyValueEntries(rec: KeyValueStorageRec): EntryStore {
+    const store: KeyValueStore = rec.store
+    const prefix: string = rec.prefix === undefined ? 'fetch-builder:' : rec.prefix
+
+    // Store errors, like QuotaExceededError, reject instead of throw
+    return {
+        read: (key: string) => Promise.resolve()
+            .then(() => store.getItem(prefix + key))
+            .then(parseEntry),
+        write: (key: string, entry: StoredEntry) => Promise.resolve()
+            .then(() => store.setItem(prefix + key, JSON.stringify(entry)))
+            .then(() => undefined),
+        remove: (key: string) => Promise.resolve()
+            .then(() => store.removeItem(prefix + key))
+            .then(() => undefined)
+    }
+}
+
+/**
+ * Stores entries as json strings in key-value store.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const storage = new KeyValueStorage({store: localStorage, version: 2, maxAge: 86400000})
+ * ```
+ */
+export class KeyValueStorage extends BaseStorage {
+    constructor(rec: KeyValueStorageRec) {
+        super(createKeyValueEntries(rec), rec)
+    }
+}
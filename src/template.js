@@ -0,0 +1,256 @@
+/* @flow */
+import {UrlTemplateError} from './errors'
+import {encode} from './query'
+import type {StrDict} from './index'
+
+type TextToken = {
+    type: 'text';
+    value: string;
+}
+
+type ParamToken = {
+    type: 'param';
+    name: string;
+
+    /**
+     * Value RegExp source.
+     */
+    pattern: string;
+
+    /**
+     * If true - pattern is user defined constraint, checked on build.
+     */
+    constrained: boolean;
+    optional: boolean;
+    wildcard: boolean;
+
+    /**
+     * Leading slash, omitted with missing optional value.
+     */
+    prefix: string;
+}
+
+type Token = TextToken | ParamToken
+
+export type UrlTemplate = {
+    template: string;
+    names: string[];
+
+    /**
+     * Replace placeholders with percent-encoded params.
+     *
+     * Returns url and params, not used in placeholders.
+     */
+    build(params: Object): {url: string, rest: Object};
+
+    /**
+     * Extract placeholder values from url path, null if url does not match template.
+     */
+    match(url: string): ?StrDict;
+}
+
+const nameRegExp: RegExp = /^[A-Za-z_]\w*/
+const specialCharsRegExp: RegExp = /[.*+?^${}()|[\]\\]/g
+
+/**
+ * Escape regexp special chars of string.
+ */
+export function escapeRegExp(str: string): string {
+    return str.replace(specialCharsRegExp, '\\$&')
+}
+
+function countGroups(pattern: string): number {
+    return (pattern.replace(/\\./g, '').match(/\((?!\?)/g) || []).length
+}
+
+function readPattern(template: string, start: number): string {
+    let depth: number = 0
+    for (let i = start; i < template.length; i++) {
+        const ch: string = template[i]
+        if (ch === '\\') {
+            i++
+        } else if (ch === '(') {
+            depth++
+        } else if (ch === ')') {
+            depth--
+            if (depth === 0) {
+                return template.substring(start + 1, i)
+            }
+        }
+    }
+
+    throw new UrlTemplateError(template, `Unclosed constraint at ${start}`)
+}
+
+/**
+ * Split template to text and placeholder tokens.
+ *
+ * `:name` - placeholder, `:name(\d+)` - constrained, `:name?` - optional, `*name` - wildcard.
+ */
+function parse(template: string): Token[] {
+    const tokens: Token[] = []
+    let text: string = ''
+    let i: number = 0
+    while (i < template.length) {
+        const ch: string = template[i]
+        const nameMatch: ?string[] = (ch === ':' || ch === '*')
+            ? nameRegExp.exec(template.substring(i + 1))
+            : null
+        if (!nameMatch) {
+            text += ch
+            i++
+            continue // eslint-disable-line
+        }
+        const name: string = nameMatch[0]
+        const wildcard: boolean = ch === '*'
+        i += name.length + 1
+        let pattern: string = wildcard ? '.*' : '[^/]+'
+        const constrained: boolean = template[i] === '('
+        if (constrained) {
+            pattern = readPattern(template, i)
+            i += pattern.length + 2
+            try {
+                new RegExp(pattern) // eslint-disable-line
+            } catch (err) {
+                throw new UrlTemplateError(template, `Invalid constraint ${pattern}`, name)
+            }
+        }
+        let optional: boolean = false
+        if (template[i] === '?' && (i + 1 === template.length || template[i + 1] === '/')) {
+            optional = true
+            i++
+        }
+        let prefix: string = ''
+        if (text[text.length - 1] === '/') {
+            prefix = '/'
+            text = text.substring(0, text.length - 1)
+        }
+        if (text) {
+            tokens.push({type: 'text', value: text})
+            text = ''
+        }
+        tokens.push({type: 'param', name, pattern, constrained, optional, wildcard, prefix})
+    }
+    if (text) {
+        tokens.push({type: 'text', value: text})
+    }
+
+    return tokens
+}
+
+function encodeValue(token: ParamToken, value: string): string {
+    return token.wildcard
+        ? value.split('/').map(encode).join('/')
+        : encode(value)
+}
+
+function createUrlTemplate(template: string): UrlTemplate {
+    const tokens: Token[] = parse(template)
+    const names: string[] = []
+    const groups: [string, number][] = []
+    let source: string = ''
+    let groupIndex: number = 1
+    for (let i = 0, l = tokens.length; i < l; i++) {
+        const token: Token = tokens[i]
+        if (token.type === 'text') {
+            source += escapeRegExp(token.value)
+            continue // eslint-disable-line
+        }
+        names.push(token.name)
+        const group: string = `${escapeRegExp(token.prefix)}(${token.pattern})`
+        source += token.optional ? `(?:${group})?` : group
+        groups.push([token.name, groupIndex])
+        groupIndex += countGroups(token.pattern) + 1
+    }
+    const matchRegExp: RegExp = new RegExp(`^${source}/?$`)
+
+    function build(params: Object): {url: string, rest: Object} {
+        const rest: Object = {...params}
+        let url: string = ''
+        for (let i = 0, l = tokens.length; i < l; i++) {
+            const token: Token = tokens[i]
+            if (token.type === 'text') {
+                url += token.value
+                continue // eslint-disable-line
+            }
+            const name: string = token.name
+            const value: mixed = params[name]
+            delete rest[name]
+            if (value === null || value === undefined) {
+                if (token.optional) {
+                    continue // eslint-disable-line
+                }
+                throw new UrlTemplateError(template, `No parameter "${name}" provided`, name)
+            }
+            const str: string = String(value)
+            if (token.constrained && !(new RegExp(`^(?:${token.pattern})$`)).test(str)) {
+                throw new UrlTemplateError(
+                    template,
+                    `Parameter "${name}" value "${str}" does not match ${token.pattern}`,
+                    name
+                )
+            }
+            url += token.prefix + encodeValue(token, str)
+        }
+
+        return {url, rest}
+    }
+
+    function match(url: string): ?StrDict {
+        const path: string = url.split(/[?#]/)[0]
+        const result: ?string[] = matchRegExp.exec(path)
+        if (!result) {
+            return null
+        }
+        const params: StrDict = {}
+        for (let i = 0, l = groups.length; i < l; i++) {
+            const [name, index] = groups[i]
+            const value: ?string = result[index]
+            if (value !== undefined && value !== null) {
+                params[name] = decodeURIComponent(value)
+            }
+        }
+
+        return params
+    }
+
+    return {
+        template,
+        names,
+        build,
+        match
+    }
+}
+
+const MAX_TEMPLATES: number = 500
+
+const templates: Map<string, UrlTemplate> = new Map()
+
+/**
+ * Compile url template, last 500 used compiled templates are cached.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const tpl = compileTemplate('/item/:id(\\d+)/:tab?')
+ * tpl.build({id: 1, q: 'x'}) // {url: '/item/1', rest: {q: 'x'}}
+ * tpl.match('/item/1/info') // {id: '1', tab: 'info'}
+ *
+ * compileTemplate('/files/*path').build({path: 'a/b c'}) // {url: '/files/a/b%20c', rest: {}}
+ * ```
+ */
+export function compileTemplate(template: string): UrlTemplate {
+    let result: ?UrlTemplate = templates.get(template)
+    if (result) {
+        // Map keeps insertion order: move recently used template to the end
+        templates.delete(template)
+    } else {
+        result = createUrlTemplate(template)
+        if (templates.size >= MAX_TEMPLATES) {
+            templates.delete((templates.keys().next().value: any))
+        }
+    }
+    templates.set(template, result)
+
+    return result
+}
@@ -0,0 +1,173 @@
+/* @flow */
+import type {ValidationIssue} from './errors'
+
+/**
+ * JSON-Schema subset.
+ */
+export type JsonSchema = {
+    type?: string | string[];
+    enum?: mixed[];
+    properties?: {[id: string]: JsonSchema};
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema;
+    minItems?: number;
+    maxItems?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    minimum?: number;
+    maximum?: number;
+    anyOf?: JsonSchema[];
+}
+
+/**
+ * Custom validator: returns false or list of issues if value is invalid.
+ */
+export type ValidateFn = (value: mixed) => boolean | ?ValidationIssue[]
+
+export type Validate = ValidateFn | JsonSchema
+
+function getType(value: mixed): string {
+    if (value === null) {
+        return 'null'
+    }
+    if (Array.isArray(value)) {
+        return 'array'
+    }
+
+    return typeof value
+}
+
+function isType(value: mixed, type: string): boolean {
+    const valueType: string = getType(value)
+    if (type === 'integer') {
+        return valueType === 'number' && Math.floor((value: any)) === value
+    }
+
+    return type === valueType
+}
+
+function validateSchema(
+    schema: JsonSchema,
+    value: mixed,
+    path: string,
+    issues: ValidationIssue[]
+): void {
+    const issue = (message: string) => issues.push({path, message})
+
+    if (schema.type) {
+        const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type]
+        if (!types.some((type: string) => isType(value, type))) {
+            issue(`should be ${types.join(' or ')}, got ${getType(value)}`)
+            return
+        }
+    }
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        issue(`should be one of ${JSON.stringify(schema.enum)}`)
+    }
+    if (schema.anyOf) {
+        const matched: boolean = schema.anyOf.some((sub: JsonSchema) => {
+            const subIssues: ValidationIssue[] = []
+            validateSchema(sub, value, path, subIssues)
+            return subIssues.length === 0
+        })
+        if (!matched) {
+            issue('should match any schema in anyOf')
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            issue(`should have length >= ${schema.minLength}`)
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            issue(`should have length <= ${schema.maxLength}`)
+        }
+        if (schema.pattern && !(new RegExp(schema.pattern)).test(value)) {
+            issue(`should match ${schema.pattern}`)
+        }
+    } else if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            issue(`should be >= ${schema.minimum}`)
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            issue(`should be <= ${schema.maximum}`)
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            issue(`should have >= ${schema.minItems} items`)
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            issue(`should have <= ${schema.maxItems} items`)
+        }
+        const items: ?JsonSchema = schema.items
+        if (items) {
+            for (let i = 0, l = value.length; i < l; i++) {
+                validateSchema(items, value[i], `${path}[${i}]`, issues)
+            }
+        }
+    } else if (value && typeof value === 'object') {
+        const obj: {[id: string]: mixed} = value
+        const properties: {[id: string]: JsonSchema} = schema.properties || {}
+        const required: string[] = schema.required || []
+        for (let i = 0, l = required.length; i < l; i++) {
+            if (obj[required[i]] === undefined) {
+                issues.push({path: `${path}.${required[i]}`, message: 'is required'})
+            }
+        }
+        const keys: string[] = Object.keys(obj)
+        const additional: ?(boolean | JsonSchema) = schema.additionalProperties
+        for (let i = 0, l = keys.length; i < l; i++) {
+            const key: string = keys[i]
+            const propPath: string = `${path}.${key}`
+            if (properties[key]) {
+                validateSchema(properties[key], obj[key], propPath, issues)
+            } else if (additional === false) {
+                issues.push({path: propPath, message: 'is not allowed'})
+            } else if (additional && typeof additional === 'object') {
+                validateSchema(additional, obj[key], propPath, issues)
+            }
+        }
+    }
+}
+
+/**
+ * Create validator from function or JSON-Schema like object.
+ *
+ * Validator returns list of issues, empty list if value is valid.
+ *
+ * @example
+ * ```js
+ * // @flow
+ * const validate = createValidator({
+ *     type: 'object',
+ *     required: ['id'],
+ *     properties: {
+ *         id: {type: 'string'}
+ *     }
+ * })
+ *
+ * validate({id: 1}) // [{path: '$.id', message: 'should be string, got number'}]
+ * ```
+ */
+export function createValidator(validate: Validate): (value: mixed) => ValidationIssue[] {
+    if (typeof validate === 'function') {
+        const fn: ValidateFn = validate
+        return function validateFn(value: mixed): ValidationIssue[] {
+            const result: boolean | ?ValidationIssue[] = fn(value)
+            if (result === false) {
+                return [{path: '$', message: 'is invalid'}]
+            }
+
+            return Array.isArray(result) ? result : []
+        }
+    }
+    const schema: JsonSchema = validate
+
+    return function validateJsonSchema(value: mixed): ValidationIssue[] {
+        const issues: ValidationIssue[] = []
+        validateSchema(schema, value, '$', issues)
+        return issues
+    }
+}